@@ -0,0 +1,67 @@
+// Benchmark of _binary and _unary dispatch, with and without the
+// per-call-site caches which the transform passes
+// Run with `npm run bench` after `npm run build`.
+
+const shim = require('../build/shim.js');
+const {time} = require('./time.js');
+
+const Ops = shim.Operators({
+  '+'(a, b) {
+    return a.value === b.value ? a : b;
+  },
+  '<'(a, b) {
+    return a.value < b.value;
+  },
+  'neg'(a) {
+    return a;
+  },
+}, { left: Number,
+  '*'(a, b) {
+    return b;
+  },
+});
+
+class Scalar extends Ops {
+  constructor(value) {
+    super();
+    this.value = value;
+  }
+}
+
+const operators = shim._withOperatorsFrom(shim._declareOperators(), Scalar);
+
+const count = 1000000;
+
+
+const a = new Scalar(1);
+const b = new Scalar(2);
+
+// Each case runs once without a cache, then with one, as the transform
+// allocates for each call site
+const cases = {
+  'Scalar + Scalar': cache => {
+    let result;
+    for (let i = 0; i < count; i++) result = shim._binary('+', a, b, operators, cache);
+    return result;
+  },
+  'Number * Scalar': cache => {
+    let result;
+    for (let i = 0; i < count; i++) result = shim._binary('*', i, b, operators, cache);
+    return result;
+  },
+  'Scalar >= Scalar (derived)': cache => {
+    let result;
+    for (let i = 0; i < count; i++) result = shim._binary('>=', a, b, operators, cache);
+    return result;
+  },
+  '-Scalar': cache => {
+    let result;
+    for (let i = 0; i < count; i++) result = shim._unary('neg', a, operators, cache);
+    return result;
+  },
+};
+
+for (const [name, run] of Object.entries(cases)) {
+  time(`${name}, uncached`, count, () => run(undefined));
+  time(`${name}, cached`, count, () => run({}));
+}
@@ -0,0 +1,87 @@
+// Benchmark of integer-indexed access on objects overloading [] and []=
+// Run with `npm run bench` after `npm run build`.
+
+const {Operators} = require('../build/shim.js');
+const {time} = require('./time.js');
+
+const Ops = Operators({
+  '[]'(vector, index) {
+    return vector.contents[index];
+  },
+  '[]='(vector, index, value) {
+    vector.contents[index] = value;
+  },
+});
+
+class Vector extends Ops {
+  constructor(contents) {
+    super();
+    this.contents = contents;
+  }
+  get length() {
+    return this.contents.length;
+  }
+}
+
+const TypedOps = Operators({elements: Float64Array});
+
+class TypedVector extends TypedOps {
+  constructor(contents) {
+    super(contents.length);
+    this.set(contents);
+  }
+  set(contents) {
+    for (let i = 0; i < contents.length; i++) this[i] = contents[i];
+  }
+}
+
+const size = 1000;
+const rounds = 1000;
+
+
+function sum(vector) {
+  let total = 0;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) total += vector[i];
+  }
+  return total;
+}
+
+function fill(vector) {
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) vector[i] = round + i;
+  }
+  return vector;
+}
+
+const contents = Array.from({length: size}, (_, i) => i);
+const small = [1, 2, 3, 4];
+
+time('Array get', size * rounds, () => sum(contents.slice()));
+time('Vector get', size * rounds, () => sum(new Vector(contents.slice())));
+time('Float64Array-backed get', size * rounds, () => sum(new TypedVector(contents)));
+time('Array set', size * rounds, () => fill(contents.slice()));
+time('Vector set', size * rounds, () => fill(new Vector(contents.slice())));
+time('Float64Array-backed set', size * rounds, () => fill(new TypedVector(contents)));
+time('Vector property get', size * rounds, () => {
+  const vector = new Vector(contents.slice());
+  let total = 0;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) total += vector.contents.length;
+  }
+  return total;
+});
+time('Vector construction (4 elements)', size * rounds, () => {
+  let vector;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) vector = new Vector(small);
+  }
+  return vector;
+});
+time('Float64Array-backed construction (4)', size * rounds, () => {
+  let vector;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) vector = new TypedVector(small);
+  }
+  return vector;
+});
@@ -0,0 +1,65 @@
+// Benchmark of the linalg module: indexed access to Vectors and
+// Matrices through [] and []=, and evaluating A * x + b
+// Run with `npm run bench` after `npm run build`.
+
+const shim = require('../build/shim.js');
+const {Vector, Matrix} = require('../build/linalg.js');
+const {time} = require('./time.js');
+
+const operators = shim._withOperatorsFrom(shim._declareOperators(), Vector, Matrix);
+
+const size = 100;
+const rounds = 100;
+
+
+const A = new Matrix(size, size,
+    Float64Array.from({length: size * size}, (_, i) => i % 7));
+const x = new Vector(Float64Array.from({length: size}, (_, i) => i));
+const b = new Vector(size);
+
+time('Vector [] get', size * rounds, () => {
+  let total = 0;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) total += x[i];
+  }
+  return total;
+});
+time('Vector []= set', size * rounds, () => {
+  const y = new Vector(size);
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < size; i++) y[i] = round + i;
+  }
+  return y;
+});
+time('Matrix [][] get', size * size, () => {
+  let total = 0;
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) total += A[i][j];
+  }
+  return total;
+});
+time('Matrix row [] then [] get', size * size, () => {
+  let total = 0;
+  for (let i = 0; i < size; i++) {
+    const row = A[i];
+    for (let j = 0; j < size; j++) total += row[j];
+  }
+  return total;
+});
+time('Matrix get()', size * size, () => {
+  let total = 0;
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) total += A.get(i, j);
+  }
+  return total;
+});
+const multiplyCache = {};
+const addCache = {};
+time(`A * x + b (${size}x${size})`, rounds, () => {
+  let y;
+  for (let round = 0; round < rounds; round++) {
+    y = shim._binary('+',
+        shim._binary('*', A, x, operators, multiplyCache), b, operators, addCache);
+  }
+  return y;
+});
@@ -0,0 +1,71 @@
+// Benchmark of the cost of entering a block with a `with operators
+// from` declaration, as in a hot function which enables operators
+// itself rather than at the top level, and of checking that operators
+// are enabled for types defined after many others
+// Run with `npm run bench` after `npm run build`.
+
+const shim = require('../build/shim.js');
+const {time} = require('./time.js');
+
+// Enough types that their operator counters don't fit in 32 bits
+const types = Array.from({length: 40}, (_, i) => {
+  const Ops = shim.Operators({
+    '+'(a, b) {
+      return a;
+    },
+  });
+  return class extends Ops {
+    constructor() {
+      super();
+      this.index = i;
+    }
+  };
+});
+const First = types[0];
+const Last = types[types.length - 1];
+const scope = shim.Operators.scope(...types);
+
+const count = 1000000;
+
+
+const outer = shim._declareOperators();
+const first = new First;
+const last = new Last;
+
+// Each case is the body of a function called count times, as the
+// transform compiles it, with an inline cache for its call site
+const cases = {
+  'operation, scope opened outside': (() => {
+    const operators = shim._withOperatorsFrom(shim._declareOperators(outer), First);
+    const cache = {};
+    return () => shim._binary('+', first, first, operators, cache);
+  })(),
+  'enter scope of 1 class, operation': (() => {
+    const cache = {};
+    return () => {
+      const operators = shim._declareOperators(outer);
+      const operators2 = shim._withOperatorsFrom(operators, First);
+      return shim._binary('+', first, first, operators2, cache);
+    };
+  })(),
+  'enter scope of 40 classes, operation': (() => {
+    const cache = {};
+    return () => {
+      const operators = shim._declareOperators(outer);
+      const operators2 = shim._withOperatorsFrom(operators, scope);
+      return shim._binary('+', last, last, operators2, cache);
+    };
+  })(),
+  'uncached operation on the 40th class': (() => {
+    const operators = shim._withOperatorsFrom(shim._declareOperators(outer), scope);
+    return () => shim._binary('+', last, last, operators);
+  })(),
+};
+
+for (const [name, body] of Object.entries(cases)) {
+  time(name, count, () => {
+    let result;
+    for (let i = 0; i < count; i++) result = body();
+    return result;
+  }, 'call');
+}
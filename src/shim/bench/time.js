@@ -0,0 +1,20 @@
+// Timing shared by the benchmarks of the shim and of the transform
+
+// Runs fn, which performs count operations, once to warm up, then
+// reports the time per operation of the fastest of several runs, in
+// nanoseconds per unit. Returns the result of fn's last run.
+function time(name, count, fn, unit = 'operation') {
+  fn();
+  let ns = Infinity;
+  let result;
+  for (let run = 0; run < 5; run++) {
+    const start = process.hrtime.bigint();
+    result = fn();
+    ns = Math.min(ns, Number(process.hrtime.bigint() - start));
+  }
+  const perOperation = (ns / count).toFixed(2);
+  console.log(`${name.padEnd(40)} ${perOperation.padStart(10)} ns/${unit}`);
+  return result;
+}
+
+module.exports = {time};
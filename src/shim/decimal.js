@@ -0,0 +1,311 @@
+// Arbitrary-precision decimal numbers, with overloaded operators
+
+// A Decimal is a BigInt coefficient scaled by a power of ten. Addition,
+// subtraction, multiplication, % and ** by non-negative integers are
+// exact; division rounds to a number of decimal places, which can be
+// passed to divide(). Decimals interoperate with Numbers, which are
+// converted through their shortest round-tripping decimal string (so
+// 0.1 is exactly one tenth), and with BigInts.
+
+import {Operators} from './shim.js';
+
+// The rounding modes of Intl.NumberFormat
+const roundingModes = new Set([
+  'ceil', 'floor', 'expand', 'trunc',
+  'halfCeil', 'halfFloor', 'halfExpand', 'halfTrunc', 'halfEven',
+]);
+
+// Places after the decimal point kept by /, as for divide()
+const defaultDivisionPlaces = 20;
+
+const decimalPattern =
+    /^([+-]?)(?:(\d+)(?:\.(\d*))?|\.(\d+))(?:[eE]([+-]?\d+))?$/;
+
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
+
+function abs(n) {
+  return n < 0n ? -n : n;
+}
+
+function checkRoundingMode(mode) {
+  if (!roundingModes.has(mode)) {
+    throw new RangeError(`Unrecognized rounding mode ${mode}`);
+  }
+}
+
+function checkPlaces(places) {
+  if (!Number.isSafeInteger(places)) {
+    throw new RangeError(`The number of places must be an integer, not ${places}`);
+  }
+}
+
+// Returns n / d rounded to an integer according to mode
+function roundQuotient(n, d, mode) {
+  const q = n / d;
+  const r = n % d;
+  if (r === 0n) return q;
+  const sign = (n < 0n) !== (d < 0n) ? -1n : 1n;
+  let away;
+  switch (mode) {
+    case 'ceil': away = sign > 0n; break;
+    case 'floor': away = sign < 0n; break;
+    case 'expand': away = true; break;
+    case 'trunc': away = false; break;
+    default: {
+      const twice = 2n * abs(r);
+      const divisor = abs(d);
+      if (twice !== divisor) {
+        away = twice > divisor;
+        break;
+      }
+      switch (mode) {
+        case 'halfCeil': away = sign > 0n; break;
+        case 'halfFloor': away = sign < 0n; break;
+        case 'halfExpand': away = true; break;
+        case 'halfTrunc': away = false; break;
+        case 'halfEven': away = q % 2n !== 0n; break;
+      }
+    }
+  }
+  // q is rounded towards zero
+  return away ? q + sign : q;
+}
+
+// Returns [coefficient, exponent] for a string, Number, BigInt or Decimal
+function parse(value) {
+  switch (typeof value) {
+    case 'bigint':
+      return [value, 0];
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new RangeError(`${value} can't be represented as a Decimal`);
+      }
+      return parse(String(value));
+    case 'string': {
+      const match = decimalPattern.exec(value.trim());
+      if (match === null) {
+        throw new SyntaxError(`Invalid Decimal ${JSON.stringify(value)}`);
+      }
+      const [, sign, integer = '', fraction = '', onlyFraction = '', exponent = '0'] = match;
+      const digits = integer + fraction + onlyFraction;
+      const coefficient = BigInt(digits);
+      return [
+        sign === '-' ? -coefficient : coefficient,
+        Number(exponent) - fraction.length - onlyFraction.length,
+      ];
+    }
+    default:
+      if (value instanceof Decimal) return [value.coefficient, value.exponent];
+      throw new TypeError(`Can't convert ${typeof value} to a Decimal`);
+  }
+}
+
+// Returns the coefficients of a and b scaled to a common exponent
+function align(a, b) {
+  const exponent = Math.min(a.exponent, b.exponent);
+  return [
+    a.coefficient * pow10(a.exponent - exponent),
+    b.coefficient * pow10(b.exponent - exponent),
+    exponent,
+  ];
+}
+
+function compare(a, b) {
+  const [x, y] = align(a, b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function divide(a, b, places, mode) {
+  if (b.coefficient === 0n) throw new RangeError('Division by zero');
+  // a / b * 10^places, as a quotient of integers
+  const shift = a.exponent - b.exponent + places;
+  let n = a.coefficient;
+  let d = b.coefficient;
+  if (shift >= 0) {
+    n *= pow10(shift);
+  } else {
+    d *= pow10(-shift);
+  }
+  return new Decimal(roundQuotient(n, d, mode), -places);
+}
+
+function remainder(a, b) {
+  if (b.coefficient === 0n) throw new RangeError('Division by zero');
+  const [x, y, exponent] = align(a, b);
+  return new Decimal(x % y, exponent);
+}
+
+function power(a, b) {
+  if (b.exponent < 0) {
+    throw new RangeError('Decimals may only be raised to integer powers');
+  }
+  const n = b.coefficient * pow10(b.exponent);
+  if (n < 0n) {
+    return divide(one, power(a, new Decimal(-n)), defaultDivisionPlaces, 'halfEven');
+  }
+  return new Decimal(a.coefficient ** n, a.exponent * Number(n));
+}
+
+// Numbers which can't be converted to Decimals still compare sensibly
+function compareNumber(a, b) {
+  if (Number.isNaN(b)) return NaN;
+  if (b === Infinity) return -1;
+  if (b === -Infinity) return 1;
+  return compare(a, new Decimal(b));
+}
+
+function toDecimal(value) {
+  return value instanceof Decimal ? value : new Decimal(value);
+}
+
+const arithmetic = {
+  '+'(a, b) { return a.add(b); },
+  '-'(a, b) { return a.subtract(b); },
+  '*'(a, b) { return a.multiply(b); },
+  '/'(a, b) { return a.divide(b); },
+  '%'(a, b) { return remainder(a, b); },
+  '**'(a, b) { return power(a, b); },
+};
+
+// The comparison operators for compare(a, b), which is NaN for
+// unordered operands, so that they're all false, as for Numbers
+function comparisons(compare) {
+  return {
+    '<'(a, b) { return compare(a, b) < 0; },
+    '>'(a, b) { return compare(a, b) > 0; },
+    '<='(a, b) { return compare(a, b) <= 0; },
+    '>='(a, b) { return compare(a, b) >= 0; },
+    '=='(a, b) { return compare(a, b) === 0; },
+  };
+}
+
+// The arithmetic operators, converting the other operand to a Decimal
+function convertedArithmetic(otherOnLeft) {
+  const table = {};
+  for (const operator of Object.keys(arithmetic)) {
+    const fn = arithmetic[operator];
+    table[operator] = otherOnLeft ?
+      (a, b) => fn(new Decimal(a), b) :
+      (a, b) => fn(a, new Decimal(b));
+  }
+  return table;
+}
+
+const DecimalOperators = Operators({
+  ...arithmetic,
+  ...comparisons(compare),
+  'pos'(a) { return a; },
+  'neg'(a) { return new Decimal(-a.coefficient, a.exponent); },
+  '++'(a) { return a.add(one); },
+  '--'(a) { return a.subtract(one); },
+}, { right: Number,
+  ...convertedArithmetic(false),
+  ...comparisons(compareNumber),
+}, { left: Number,
+  ...convertedArithmetic(true),
+  ...comparisons((a, b) => -compareNumber(b, a)),
+}, { right: BigInt,
+  ...convertedArithmetic(false),
+  ...comparisons((a, b) => compare(a, new Decimal(b))),
+}, { left: BigInt,
+  ...convertedArithmetic(true),
+  ...comparisons((a, b) => compare(new Decimal(a), b)),
+});
+
+export class Decimal extends DecimalOperators {
+  // new Decimal(value) converts a string, Number, BigInt or Decimal;
+  // new Decimal(coefficient, exponent) is coefficient * 10 ** exponent
+  constructor(value, exponent) {
+    super();
+    let coefficient;
+    if (exponent === undefined) {
+      [coefficient, exponent] = parse(value);
+    } else {
+      if (typeof value !== 'bigint') {
+        throw new TypeError('The coefficient of a Decimal must be a BigInt');
+      }
+      checkPlaces(exponent);
+      coefficient = value;
+    }
+    // Canonicalize, so that equal Decimals have equal parts
+    if (coefficient === 0n) {
+      exponent = 0;
+    } else {
+      while (coefficient % 10n === 0n) {
+        coefficient /= 10n;
+        exponent++;
+      }
+    }
+    this.coefficient = coefficient;
+    this.exponent = exponent;
+  }
+
+  add(other) {
+    const [x, y, exponent] = align(this, toDecimal(other));
+    return new Decimal(x + y, exponent);
+  }
+
+  subtract(other) {
+    const [x, y, exponent] = align(this, toDecimal(other));
+    return new Decimal(x - y, exponent);
+  }
+
+  multiply(other) {
+    other = toDecimal(other);
+    return new Decimal(this.coefficient * other.coefficient,
+        this.exponent + other.exponent);
+  }
+
+  // Divides, rounding to places after the decimal point
+  divide(other, {places = defaultDivisionPlaces, roundingMode = 'halfEven'} = {}) {
+    checkPlaces(places);
+    checkRoundingMode(roundingMode);
+    return divide(this, toDecimal(other), places, roundingMode);
+  }
+
+  // Rounds to places after the decimal point; negative places round
+  // to tens, hundreds, etc.
+  round(places = 0, roundingMode = 'halfEven') {
+    checkPlaces(places);
+    checkRoundingMode(roundingMode);
+    if (this.exponent >= -places) return this;
+    const divisor = pow10(-places - this.exponent);
+    return new Decimal(roundQuotient(this.coefficient, divisor, roundingMode), -places);
+  }
+
+  toString() {
+    const {coefficient, exponent} = this;
+    const sign = coefficient < 0n ? '-' : '';
+    if (exponent >= 0) return sign + String(abs(coefficient) * pow10(exponent));
+    const digits = String(abs(coefficient)).padStart(1 - exponent, '0');
+    const point = digits.length + exponent;
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+
+  // Like Number.prototype.toFixed, but exact, and rounding half away
+  // from zero by default
+  toFixed(places = 0, roundingMode = 'halfExpand') {
+    if (!Number.isSafeInteger(places) || places < 0) {
+      throw new RangeError(`toFixed() places must be a non-negative integer, not ${places}`);
+    }
+    const {coefficient, exponent} = this.round(places, roundingMode);
+    const scaled = coefficient * pow10(exponent + places);
+    const sign = scaled < 0n ? '-' : '';
+    if (places === 0) return sign + String(abs(scaled));
+    const digits = String(abs(scaled)).padStart(places + 1, '0');
+    const point = digits.length - places;
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  static get roundingModes() {
+    return [...roundingModes];
+  }
+}
+
+const one = new Decimal(1n, 0);
@@ -0,0 +1,192 @@
+const {Operators} = require("./build/shim.js");
+const {Decimal} = require("./build/decimal.js");
+const {withOperatorsFrom} = require("./spec-helper.js");
+
+const {binary, unary} = withOperatorsFrom(Decimal);
+const d = (value) => new Decimal(value);
+
+describe('Decimal', () => {
+  it('parses and prints decimal strings', () => {
+    expect(String(d('1.50'))).toBe('1.5');
+    expect(String(d('-0.005'))).toBe('-0.005');
+    expect(String(d('.25'))).toBe('0.25');
+    expect(String(d('12e3'))).toBe('12000');
+    expect(String(d('1.5E-3'))).toBe('0.0015');
+    expect(String(d('-0'))).toBe('0');
+    expect(String(d('123456789012345678901234567890.000000000000000000001')))
+      .toBe('123456789012345678901234567890.000000000000000000001');
+    expect(() => d('1.2.3')).toThrowError(SyntaxError);
+    expect(() => d('')).toThrowError(SyntaxError);
+  });
+
+  it('converts Numbers through their shortest decimal string', () => {
+    expect(String(d(0.1))).toBe('0.1');
+    expect(String(d(1e21))).toBe('1000000000000000000000');
+    expect(String(d(5e-7))).toBe('0.0000005');
+    expect(String(d(2n ** 70n))).toBe('1180591620717411303424');
+    expect(() => d(NaN)).toThrowError(RangeError);
+    expect(() => d(Infinity)).toThrowError(RangeError);
+  });
+
+  it('constructs from a coefficient and exponent', () => {
+    expect(String(new Decimal(12345n, -2))).toBe('123.45');
+    expect(new Decimal(1200n, -2).coefficient).toBe(12n);
+    expect(new Decimal(1200n, -2).exponent).toBe(0);
+    expect(() => new Decimal(12, -2)).toThrowError(TypeError);
+  });
+
+  it('does exact arithmetic', () => {
+    expect(String(binary('+', d('0.1'), d('0.2')))).toBe('0.3');
+    expect(String(binary('-', d('0.3'), d('0.1')))).toBe('0.2');
+    expect(String(binary('*', d('1.1'), d('1.1')))).toBe('1.21');
+    expect(String(binary('%', d('-7.5'), d('2')))).toBe('-1.5');
+    expect(String(binary('**', d('1.5'), d('3')))).toBe('3.375');
+    expect(String(unary('neg', d('2.5')))).toBe('-2.5');
+    expect(String(unary('++', d('2.5')))).toBe('3.5');
+    expect(String(unary('--', d('2.5')))).toBe('1.5');
+    expect(() => binary('%', d(1), d(0))).toThrowError(RangeError);
+    expect(() => binary('**', d(2), d('0.5'))).toThrowError(RangeError);
+  });
+
+  it('rounds division to 20 places by default', () => {
+    expect(String(binary('/', d(1), d(4)))).toBe('0.25');
+    expect(String(binary('/', d(1), d(3)))).toBe('0.33333333333333333333');
+    expect(String(binary('/', d(2), d(3)))).toBe('0.66666666666666666667');
+    expect(String(binary('**', d(2), d(-2)))).toBe('0.25');
+    expect(String(d(10).divide(3, { places: 2, roundingMode: 'ceil' }))).toBe('3.34');
+    expect(() => binary('/', d(1), d(0))).toThrowError(RangeError);
+  });
+
+  it('compares', () => {
+    expect(binary('<', d('1.05'), d('1.5'))).toBe(true);
+    expect(binary('>=', d('1.50'), d('1.5'))).toBe(true);
+    expect(binary('==', d('1.50'), d('1.5'))).toBe(true);
+    expect(binary('!=', d('1.50'), d('1.5'))).toBe(false);
+    expect(binary('>', d('-1'), d('-2'))).toBe(true);
+  });
+
+  it('interoperates with Number and BigInt', () => {
+    expect(String(binary('+', d('0.1'), 0.2))).toBe('0.3');
+    expect(String(binary('-', 1, d('0.9')))).toBe('0.1');
+    expect(String(binary('*', d('1.5'), 2n))).toBe('3');
+    expect(String(binary('/', 1n, d(8)))).toBe('0.125');
+    expect(String(binary('**', 2, d(10)))).toBe('1024');
+    expect(binary('==', d(1), 1)).toBe(true);
+    expect(binary('==', 1n, d('1.0'))).toBe(true);
+    expect(binary('<', 0.5, d('0.6'))).toBe(true);
+    expect(binary('<', d('0.6'), 10n)).toBe(true);
+    expect(binary('<', d(1e300), Infinity)).toBe(true);
+    expect(binary('>', d(1), -Infinity)).toBe(true);
+    expect(binary('<', d(1), NaN)).toBe(false);
+    expect(binary('>=', d(1), NaN)).toBe(false);
+    expect(binary('==', NaN, d(1))).toBe(false);
+    expect(() => binary('+', d(1), NaN)).toThrowError(RangeError);
+  });
+
+  it('rounds with each rounding mode', () => {
+    const values = ['2.5', '-2.5', '2.6', '-2.4', '3.5', '2'];
+    const expected = {
+      ceil: ['3', '-2', '3', '-2', '4', '2'],
+      floor: ['2', '-3', '2', '-3', '3', '2'],
+      expand: ['3', '-3', '3', '-3', '4', '2'],
+      trunc: ['2', '-2', '2', '-2', '3', '2'],
+      halfCeil: ['3', '-2', '3', '-2', '4', '2'],
+      halfFloor: ['2', '-3', '3', '-2', '3', '2'],
+      halfExpand: ['3', '-3', '3', '-2', '4', '2'],
+      halfTrunc: ['2', '-2', '3', '-2', '3', '2'],
+      halfEven: ['2', '-2', '3', '-2', '4', '2'],
+    };
+    expect(Decimal.roundingModes).toEqual(Object.keys(expected));
+    for (const mode of Object.keys(expected)) {
+      expect(values.map((value) => String(d(value).round(0, mode))))
+        .withContext(mode).toEqual(expected[mode]);
+    }
+    expect(String(d('1234.5678').round(2))).toBe('1234.57');
+    expect(String(d('1250').round(-2))).toBe('1200');
+    expect(() => d(1).round(0, 'up')).toThrowError(RangeError, /rounding mode up/);
+    expect(() => d(1).round(0.5)).toThrowError(RangeError);
+  });
+
+  it('formats with toFixed', () => {
+    expect(d('1.005').toFixed(2)).toBe('1.01');
+    expect(d('1.005').toFixed(2, 'halfEven')).toBe('1.00');
+    expect(d('-1.5').toFixed(0)).toBe('-2');
+    expect(d('0.5').toFixed(3)).toBe('0.500');
+    expect(d('-0.004').toFixed(2)).toBe('0.00');
+    expect(d('1e21').toFixed(1)).toBe('1000000000000000000000.0');
+    expect(() => d(1).toFixed(-1)).toThrowError(RangeError);
+    expect(JSON.stringify({ total: d('9.90') })).toBe('{"total":"9.9"}');
+  });
+
+  describe('on financial workloads', () => {
+    it('sums cents exactly', () => {
+      let total = d(0);
+      for (let i = 0; i < 1000; i++) total = binary('+', total, d('0.01'));
+      expect(binary('==', total, 10)).toBe(true);
+      let float = 0;
+      for (let i = 0; i < 1000; i++) float += 0.01;
+      expect(float === 10).toBe(false);
+    });
+
+    it('computes invoice totals with tax', () => {
+      const lines = [['19.99', 3], ['4.25', 7], ['0.10', 11]];
+      let subtotal = d(0);
+      for (const [price, quantity] of lines) {
+        subtotal = binary('+', subtotal, binary('*', d(price), quantity));
+      }
+      expect(subtotal.toFixed(2)).toBe('90.82');
+      const tax = binary('*', subtotal, d('0.0825')).round(2, 'halfExpand');
+      expect(String(tax)).toBe('7.49');
+      expect(binary('+', subtotal, tax).toFixed(2)).toBe('98.31');
+    });
+
+    it('splits amounts without losing cents', () => {
+      const amount = d('100.00');
+      const share = amount.divide(3, { places: 2, roundingMode: 'floor' });
+      const last = binary('-', amount, binary('*', share, 2));
+      expect(String(share)).toBe('33.33');
+      expect(String(last)).toBe('33.34');
+      expect(binary('==', binary('+', binary('*', share, 2), last), amount)).toBe(true);
+    });
+
+    it('compounds interest', () => {
+      // 1000 at 5% a year, compounded monthly for a year
+      const rate = binary('/', d('0.05'), 12);
+      const factor = binary('**', binary('+', 1, rate), 12);
+      expect(binary('*', 1000, factor).toFixed(2)).toBe('1051.16');
+    });
+  });
+
+  // The example of Operators.extend in the proposal's README
+  describe('subclassed as Money', () => {
+    class Money extends Operators.extend(Decimal, {
+      '+'(a, b) {
+        if (a.currency !== b.currency) throw new RangeError('currency mismatch');
+        return new Money(a.add(b), a.currency);
+      },
+    }, { right: Number,
+      '*'(a, b) { return new Money(a.multiply(b), a.currency); },
+    }) {
+      constructor(amount, currency) { super(amount); this.currency = currency; }
+    }
+    const money = withOperatorsFrom(Money);
+
+    it('adds amounts in the same currency', () => {
+      const sum = money.binary('+', new Money('1.50', 'EUR'), new Money('2.25', 'EUR'));
+      expect(sum instanceof Money).toBe(true);
+      expect(String(sum)).toBe('3.75');
+      expect(sum.currency).toBe('EUR');
+      expect(() => money.binary('+', new Money('1', 'EUR'), new Money('1', 'USD')))
+        .toThrowError(RangeError, 'currency mismatch');
+    });
+
+    it('multiplies by Numbers, and falls back to Decimal for Decimals', () => {
+      const product = money.binary('*', new Money('1.50', 'EUR'), 2);
+      expect(product instanceof Money).toBe(true);
+      expect(String(product)).toBe('3');
+      const sum = money.binary('+', new Money('1.50', 'EUR'), d('1'));
+      expect(sum instanceof Money).toBe(false);
+      expect(String(sum)).toBe('2.5');
+    });
+  });
+});
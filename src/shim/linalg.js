@@ -0,0 +1,276 @@
+// Dense vectors and matrices, with overloaded operators
+
+// Vectors and Matrices are stored in Float64Arrays. A Vector is
+// indexed like its Float64Array, with elements: backing, and a Matrix
+// overloads [] and []=, for its rows, as Vectors sharing its storage,
+// so that m[i][j] reads and writes the matrix. +, - and / are element-wise, as is * between
+// two Vectors; * between Matrices, and between a Matrix and a Vector,
+// is the matrix product. Numbers on either side apply to each element.
+
+import {Operators} from './shim.js';
+
+function checkLength(operator, a, b) {
+  if (a.length !== b.length) {
+    throw new RangeError(
+        `Vectors of lengths ${a.length} and ${b.length} in evaluating ${operator}`);
+  }
+}
+
+function checkShape(operator, a, b) {
+  if (a.rows !== b.rows || a.columns !== b.columns) {
+    throw new RangeError(
+        `Matrices of shapes ${a.rows}x${a.columns} and ` +
+        `${b.rows}x${b.columns} in evaluating ${operator}`);
+  }
+}
+
+// Applies fn to each pair of elements of a and b, Float64Arrays of
+// equal length, into a new Float64Array
+function elementwise(a, b, fn) {
+  const out = new Float64Array(a.length);
+  for (let i = 0; i < a.length; i++) out[i] = fn(a[i], b[i]);
+  return out;
+}
+
+function equalContents(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+const arithmetic = {
+  '+': (x, y) => x + y,
+  '-': (x, y) => x - y,
+  '*': (x, y) => x * y,
+  '/': (x, y) => x / y,
+};
+
+// Definitions of operators between two instances of a type, whose
+// contents are combined by combine(operator, a, b, fn)
+function elementwiseTable(operators, combine) {
+  const table = {};
+  for (const operator of operators) {
+    const fn = arithmetic[operator];
+    table[operator] = (a, b) => combine(operator, a, b, fn);
+  }
+  return table;
+}
+
+// Definitions of operators with a Number on the right and on the left,
+// for a type whose elements are mapped by scale(a, fn)
+function scalarTables(operators, scale) {
+  const right = {};
+  const left = {};
+  for (const operator of operators) {
+    const fn = arithmetic[operator];
+    right[operator] = (a, b) => scale(a, (x) => fn(x, b));
+    left[operator] = (a, b) => scale(b, (y) => fn(a, y));
+  }
+  return {right, left};
+}
+
+const vectorScalarTables = scalarTables(['+', '-', '*', '/'],
+    (a, fn) => new Vector(a.contents.map(fn)));
+
+const VectorOperators = Operators({
+  ...elementwiseTable(['+', '-', '*', '/'], (operator, a, b, fn) => {
+    checkLength(operator, a, b);
+    return new Vector(elementwise(a.contents, b.contents, fn));
+  }),
+  '=='(a, b) { return equalContents(a.contents, b.contents); },
+  'neg'(a) { return new Vector(a.contents.map((x) => -x)); },
+  elements: Float64Array,
+  // Matrix * Vector and Vector * Matrix are defined with Matrix
+  open: ['*'],
+}, { right: Number,
+  ...vectorScalarTables.right,
+}, { left: Number,
+  ...vectorScalarTables.left,
+});
+
+export class Vector extends VectorOperators {
+  // new Vector(length) is zero-filled; new Vector(values) copies an
+  // Array or other iterable, but uses a Float64Array as its storage.
+  // The Vector is itself a view of the storage, which is also kept
+  // as contents, since the Vector has none of Float64Array's methods.
+  constructor(values = 0) {
+    let contents;
+    if (typeof values === 'number') {
+      contents = new Float64Array(values);
+    } else if (values instanceof Float64Array) {
+      contents = values;
+    } else {
+      contents = Float64Array.from(values);
+    }
+    super(contents.buffer, contents.byteOffset, contents.length);
+    this.contents = contents;
+  }
+
+  dot(other) {
+    checkLength('dot', this, other);
+    const x = this.contents;
+    const y = other.contents;
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) sum += x[i] * y[i];
+    return sum;
+  }
+
+  [Symbol.iterator]() {
+    return this.contents[Symbol.iterator]();
+  }
+
+  toArray() {
+    return Array.from(this.contents);
+  }
+
+  toString() {
+    return `Vector(${this.toArray().join(', ')})`;
+  }
+}
+
+function multiply(a, b) {
+  if (a.columns !== b.rows) {
+    throw new RangeError(
+        `Matrices of shapes ${a.rows}x${a.columns} and ` +
+        `${b.rows}x${b.columns} in evaluating *`);
+  }
+  // Properties of Matrices are read through their Proxies, so the
+  // loops only use locals
+  const {rows, columns: inner} = a;
+  const columns = b.columns;
+  const x = a.contents;
+  const y = b.contents;
+  const z = new Float64Array(rows * columns);
+  for (let i = 0; i < rows; i++) {
+    for (let k = 0; k < inner; k++) {
+      const xik = x[i * inner + k];
+      for (let j = 0; j < columns; j++) {
+        z[i * columns + j] += xik * y[k * columns + j];
+      }
+    }
+  }
+  return new Matrix(rows, columns, z);
+}
+
+// A Matrix's rows, as Vectors, made on first indexing the Matrix so
+// that m[i][j] doesn't allocate
+const RowVectors = Symbol('RowVectors');
+
+function rowVectors(matrix) {
+  let rows = matrix[RowVectors];
+  if (rows === undefined) {
+    const {columns, contents} = matrix;
+    rows = Array.from({length: matrix.rows}, (_, i) =>
+        new Vector(contents.subarray(i * columns, (i + 1) * columns)));
+    matrix[RowVectors] = rows;
+  }
+  return rows;
+}
+
+const matrixScalarTables = scalarTables(['+', '-', '*', '/'],
+    (a, fn) => new Matrix(a.rows, a.columns, a.contents.map(fn)));
+
+const MatrixOperators = Operators({
+  ...elementwiseTable(['+', '-', '/'], (operator, a, b, fn) => {
+    checkShape(operator, a, b);
+    return new Matrix(a.rows, a.columns, elementwise(a.contents, b.contents, fn));
+  }),
+  '*'(a, b) { return multiply(a, b); },
+  '=='(a, b) {
+    return a.rows === b.rows && a.columns === b.columns &&
+        equalContents(a.contents, b.contents);
+  },
+  'neg'(a) { return new Matrix(a.rows, a.columns, a.contents.map((x) => -x)); },
+  '[]'(matrix, index) {
+    return rowVectors(matrix)[index];
+  },
+  '[]='(matrix, index, row) {
+    if (index >= matrix.rows) return;
+    if (row.length !== matrix.columns) {
+      throw new RangeError(
+          `A row of length ${row.length} can't be stored in a matrix ` +
+          `with ${matrix.columns} columns`);
+    }
+    matrix.contents.set(row instanceof Vector ? row.contents : row,
+        index * matrix.columns);
+  },
+}, { right: Number,
+  ...matrixScalarTables.right,
+}, { left: Number,
+  ...matrixScalarTables.left,
+}, { right: Vector,
+  '*'(a, b) {
+    return new Vector(multiply(a, new Matrix(b.length, 1, b.contents)).contents);
+  },
+}, { left: Vector,
+  '*'(a, b) {
+    return new Vector(multiply(new Matrix(1, a.length, a.contents), b).contents);
+  },
+});
+
+export class Matrix extends MatrixOperators {
+  // A zero-filled matrix, or one using contents, a Float64Array in
+  // row-major order, as its storage
+  constructor(rows, columns, contents = new Float64Array(rows * columns)) {
+    super();
+    if (contents.length !== rows * columns) {
+      throw new RangeError(
+          `A ${rows}x${columns} matrix can't have ${contents.length} elements`);
+    }
+    this.rows = rows;
+    this.columns = columns;
+    this.contents = contents;
+  }
+
+  // The matrix with the given rows, which are Arrays, Vectors or
+  // other iterables of numbers
+  static from(rows) {
+    rows = Array.from(rows, (row) => Float64Array.from(row));
+    const columns = rows.length === 0 ? 0 : rows[0].length;
+    const matrix = new Matrix(rows.length, columns);
+    rows.forEach((row, i) => {
+      matrix[i] = row;
+    });
+    return matrix;
+  }
+
+  static identity(size) {
+    const matrix = new Matrix(size, size);
+    const contents = matrix.contents;
+    for (let i = 0; i < size; i++) contents[i * size + i] = 1;
+    return matrix;
+  }
+
+  get length() {
+    return this.rows;
+  }
+
+  get(row, column) {
+    return this.contents[row * this.columns + column];
+  }
+
+  set(row, column, value) {
+    this.contents[row * this.columns + column] = value;
+  }
+
+  transpose() {
+    const {rows, columns, contents} = this;
+    const out = new Float64Array(rows * columns);
+    for (let i = 0; i < rows; i++) {
+      for (let j = 0; j < columns; j++) {
+        out[j * rows + i] = contents[i * columns + j];
+      }
+    }
+    return new Matrix(columns, rows, out);
+  }
+
+  toArray() {
+    return Array.from({length: this.rows}, (_, i) => this[i].toArray());
+  }
+
+  toString() {
+    return `Matrix(${this.toArray().map((row) => `[${row.join(', ')}]`).join(', ')})`;
+  }
+}
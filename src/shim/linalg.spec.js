@@ -0,0 +1,127 @@
+const {Operators} = require("./build/shim.js");
+const {Vector, Matrix} = require("./build/linalg.js");
+const {withOperatorsFrom} = require("./spec-helper.js");
+
+const {binary, unary} = withOperatorsFrom(Vector, Matrix);
+
+describe('Vector', () => {
+  it('is constructed from a length, values or a Float64Array', () => {
+    expect(new Vector(3).toArray()).toEqual([0, 0, 0]);
+    expect(new Vector([1, 2]).toArray()).toEqual([1, 2]);
+    expect([...new Vector(new Set([3, 4]))]).toEqual([3, 4]);
+    const contents = new Float64Array([5, 6]);
+    expect(new Vector(contents).contents).toBe(contents);
+    expect(String(new Vector([1, 2.5]))).toBe('Vector(1, 2.5)');
+  });
+
+  it('is indexed like its Float64Array', () => {
+    const v = new Vector([1, 2, 3]);
+    expect(v[0]).toBe(1);
+    expect(v[2]).toBe(3);
+    expect(v[3]).toBe(undefined);
+    expect(v.length).toBe(3);
+    v[1] = 7;
+    expect(v.contents[1]).toBe(7);
+    expect(1 in v).toBe(true);
+    expect(3 in v).toBe(false);
+    expect(Operators.describe(Vector).elements).toBe(Float64Array);
+  });
+
+  it('does element-wise arithmetic', () => {
+    const a = new Vector([1, 2, 3]);
+    const b = new Vector([4, 5, 6]);
+    expect(binary('+', a, b).toArray()).toEqual([5, 7, 9]);
+    expect(binary('-', a, b).toArray()).toEqual([-3, -3, -3]);
+    expect(binary('*', a, b).toArray()).toEqual([4, 10, 18]);
+    expect(binary('/', b, a).toArray()).toEqual([4, 2.5, 2]);
+    expect(unary('neg', a).toArray()).toEqual([-1, -2, -3]);
+    expect(a.dot(b)).toBe(32);
+    expect(() => binary('+', a, new Vector(2)))
+      .toThrowError(RangeError, 'Vectors of lengths 3 and 2 in evaluating +');
+  });
+
+  it('does scalar arithmetic with Numbers on either side', () => {
+    const a = new Vector([1, 2, 4]);
+    expect(binary('*', a, 2).toArray()).toEqual([2, 4, 8]);
+    expect(binary('*', 2, a).toArray()).toEqual([2, 4, 8]);
+    expect(binary('-', a, 1).toArray()).toEqual([0, 1, 3]);
+    expect(binary('-', 1, a).toArray()).toEqual([0, -1, -3]);
+    expect(binary('/', 8, a).toArray()).toEqual([8, 4, 2]);
+    expect(binary('+', a, 0.5).toArray()).toEqual([1.5, 2.5, 4.5]);
+  });
+
+  it('compares structurally with ==', () => {
+    expect(binary('==', new Vector([1, 2]), new Vector([1, 2]))).toBe(true);
+    expect(binary('!=', new Vector([1, 2]), new Vector([1, 3]))).toBe(true);
+    expect(binary('==', new Vector([1, 2]), new Vector([1, 2, 0]))).toBe(false);
+    expect(binary('==', new Vector([NaN]), new Vector([NaN]))).toBe(false);
+  });
+});
+
+describe('Matrix', () => {
+  const A = Matrix.from([[1, 2], [3, 4]]);
+
+  it('is constructed from rows, or a shape and contents', () => {
+    expect(A.rows).toBe(2);
+    expect(A.columns).toBe(2);
+    expect(A.contents).toEqual(new Float64Array([1, 2, 3, 4]));
+    expect(new Matrix(2, 3).toArray()).toEqual([[0, 0, 0], [0, 0, 0]]);
+    expect(Matrix.identity(2).toArray()).toEqual([[1, 0], [0, 1]]);
+    expect(String(A)).toBe('Matrix([1, 2], [3, 4])');
+    expect(() => new Matrix(2, 2, new Float64Array(3))).toThrowError(RangeError);
+    expect(() => Matrix.from([[1, 2], [3]])).toThrowError(RangeError);
+  });
+
+  it('indexes rows as Vectors sharing its storage', () => {
+    const m = Matrix.from([[1, 2], [3, 4]]);
+    expect(m[1] instanceof Vector).toBe(true);
+    expect(m[1][0]).toBe(3);
+    expect(m[1]).toBe(m[1]);
+    expect(m[2]).toBe(undefined);
+    m[0][1] = 9;
+    expect(m.get(0, 1)).toBe(9);
+    m[1] = new Vector([5, 6]);
+    expect(m.toArray()).toEqual([[1, 9], [5, 6]]);
+    m.set(1, 1, 0);
+    expect(m[1][1]).toBe(0);
+    expect(() => { m[0] = [1, 2, 3]; }).toThrowError(RangeError);
+  });
+
+  it('multiplies matrices with *', () => {
+    const B = Matrix.from([[1, 0, 2], [0, 1, 3]]);
+    expect(binary('*', A, B).toArray()).toEqual([[1, 2, 8], [3, 4, 18]]);
+    expect(binary('*', A, Matrix.identity(2)).toArray()).toEqual(A.toArray());
+    expect(() => binary('*', B, A))
+      .toThrowError(RangeError, 'Matrices of shapes 2x3 and 2x2 in evaluating *');
+    expect(B.transpose().toArray()).toEqual([[1, 0], [0, 1], [2, 3]]);
+  });
+
+  it('multiplies with Vectors on either side', () => {
+    const x = new Vector([1, -1]);
+    const b = new Vector([10, 20]);
+    // A * x + b
+    const y = binary('+', binary('*', A, x), b);
+    expect(y instanceof Vector).toBe(true);
+    expect(y.toArray()).toEqual([9, 19]);
+    expect(binary('*', x, A).toArray()).toEqual([-2, -2]);
+    expect(() => binary('*', A, new Vector(3))).toThrowError(RangeError);
+    expect(() => binary('+', A, x)).toThrowError(TypeError, /No overload found for \+/);
+  });
+
+  it('does element-wise and scalar arithmetic', () => {
+    expect(binary('+', A, A).toArray()).toEqual([[2, 4], [6, 8]]);
+    expect(binary('-', A, A).toArray()).toEqual([[0, 0], [0, 0]]);
+    expect(binary('/', A, A).toArray()).toEqual([[1, 1], [1, 1]]);
+    expect(binary('*', A, 3).toArray()).toEqual([[3, 6], [9, 12]]);
+    expect(binary('*', 3, A).toArray()).toEqual([[3, 6], [9, 12]]);
+    expect(binary('-', 1, A).toArray()).toEqual([[0, -1], [-2, -3]]);
+    expect(unary('neg', A).toArray()).toEqual([[-1, -2], [-3, -4]]);
+    expect(() => binary('+', A, new Matrix(2, 3))).toThrowError(RangeError);
+  });
+
+  it('compares structurally with ==', () => {
+    expect(binary('==', A, Matrix.from([[1, 2], [3, 4]]))).toBe(true);
+    expect(binary('==', A, Matrix.from([[1, 2, 3, 4]]))).toBe(false);
+    expect(binary('==', A, new Vector([1, 2, 3, 4]))).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+// Type definitions for the operator overloading shim
+
+// Operators(table, ...tables) makes a class for another to extend,
+// whose instances have the operators in the tables. The first table
+// defines operators between two instances, and with [] and []=,
+// indexed access; each of the others defines operators with a value of
+// another type, given with left: or right:, on that side, which gives
+// the type of that side's parameters. The type of the instances is
+// inferred from the parameters of the first table's definitions, for
+// the parameters of the other tables.
+//
+// A class's base class can't have a type depending on the class itself,
+// so when the tables refer to the class, make its base class first,
+// with a declared type:
+//
+//   const VectorOperators: OverloadedClass = Operators({
+//     '+'(a: Vector, b: Vector) { ... },
+//   }, {left: Number,
+//     '*'(a, b) { ... },  // a is a number, and b a Vector
+//   });
+//   class Vector extends VectorOperators { ... }
+
+export type BinaryOperator =
+  '-' | '*' | '/' | '%' | '**' | '&' | '^' | '|' | '<<' | '>>' | '>>>' |
+  '==' | '+' | '<' | '!=' | '>' | '<=' | '>=';
+// The binary operators which String has open
+export type StringOperator = '+' | '==' | '<' | '!=' | '>' | '<=' | '>=';
+export type UnaryOperator = 'pos' | 'neg' | '++' | '--' | '~';
+export type Operator = BinaryOperator | UnaryOperator | '[]' | '[]=';
+
+export type Constructor = abstract new (...args: any[]) => unknown;
+
+// Number, BigInt and String have operators too, so they may be on the
+// other side of a left: or right: table, like classes with overloaded
+// operators
+export type OperandType =
+  NumberConstructor | BigIntConstructor | StringConstructor | Constructor;
+
+// The values of an OperandType
+export type Operand<Type extends OperandType> =
+  Type extends NumberConstructor ? number :
+  Type extends BigIntConstructor ? bigint :
+  Type extends StringConstructor ? string :
+  Type extends abstract new (...args: any[]) => infer Instance ? Instance :
+  never;
+
+export type ElementsConstructor =
+  ArrayConstructor | Int8ArrayConstructor | Uint8ArrayConstructor |
+  Uint8ClampedArrayConstructor | Int16ArrayConstructor |
+  Uint16ArrayConstructor | Int32ArrayConstructor | Uint32ArrayConstructor |
+  Float32ArrayConstructor | Float64ArrayConstructor |
+  BigInt64ArrayConstructor | BigUint64ArrayConstructor;
+
+type BinaryDefinitions<Left, Right,
+    Operators extends BinaryOperator = BinaryOperator> = {
+  [operator in Operators]?: (a: Left, b: Right) => unknown;
+};
+
+// The operators which a table with Other on one side may define, those
+// Other has open: all of them for Number, BigInt and classes made with
+// Operators(), which check their own open operators at runtime
+type OperatorsWith<Other extends OperandType> =
+  Other extends StringConstructor ? StringOperator : BinaryOperator;
+
+type UnaryDefinitions<Self> = {
+  [operator in UnaryOperator]?: (a: Self) => unknown;
+};
+
+// Binary operators which other types may define tables with this one
+// for, without this type listing them in its own tables
+type OpenOperators = {open?: Iterable<BinaryOperator>};
+
+// The first table, for a type whose instances are Self; Element is
+// what [] returns, and Elements the Array or TypedArray constructor
+// backing the instances, instead of [] and []=
+export type SelfTable<Self, Element = unknown,
+    Elements extends ElementsConstructor | undefined = undefined> =
+  BinaryDefinitions<Self, Self> & UnaryDefinitions<Self> & OpenOperators & {
+    '[]'?: (a: Self, index: number) => Element;
+    '[]='?: (a: Self, index: number, value: Element) => void;
+    elements?: Elements;
+  };
+
+// A table of operators with Other on the left, and the type being
+// defined on the right
+export type LeftTable<Self, Other extends OperandType> =
+  BinaryDefinitions<Operand<Other>, Self, OperatorsWith<Other>> &
+    {left: Other; right?: never};
+
+// A table of operators with the type being defined on the left, and
+// Other on the right
+export type RightTable<Self, Other extends OperandType> =
+  BinaryDefinitions<Self, Operand<Other>, OperatorsWith<Other>> &
+    {right: Other; left?: never};
+
+export type OtherTable<Self, Other extends OperandType> =
+  LeftTable<Self, Other> | RightTable<Self, Other>;
+
+type OtherTables<Self, Others extends readonly OperandType[]> = {
+  [i in keyof Others]: OtherTable<Self, Others[i]>;
+};
+
+// A class with overloaded operators. Its instances are indexed by []
+// if it's defined, with elements of type Element; with elements:, they
+// are like the Array or TypedArray, constructed with a length, or a
+// TypedArray's with a buffer to view.
+export type OverloadedClass<Element = never,
+    Elements extends ElementsConstructor | undefined = undefined> =
+  Elements extends ArrayConstructor ?
+    new (length?: number) => InstanceType<Elements> & OperatorsBase :
+  Elements extends ElementsConstructor ? {
+    new (length?: number): InstanceType<Elements> & OperatorsBase;
+    new (buffer: ArrayBufferLike, byteOffset?: number, length?: number):
+      InstanceType<Elements> & OperatorsBase;
+  } :
+  [Element] extends [never] ?
+    new () => OperatorsBase :
+    new () => {[index: number]: Element} & OperatorsBase;
+
+// A collection of types to enable operators for, made by
+// Operators.scope()
+export interface OperatorScope {
+  readonly __operatorScope: unique symbol;
+}
+
+// What can be given to `with operators from`: a class with overloaded
+// operators, made with Operators() or the decorators, or a scope
+export type OperatorsEntry = Constructor | OperatorScope;
+
+export interface TableDescription {
+  readonly type: OperandType;
+  readonly operators: readonly Operator[];
+}
+
+export interface OperatorsDescription {
+  readonly operators: readonly Operator[];
+  readonly left: readonly TableDescription[];
+  readonly right: readonly TableDescription[];
+  readonly open: readonly BinaryOperator[];
+  readonly elements: ElementsConstructor | undefined;
+}
+
+// Classes using the decorators extend Operators itself, or a class with
+// operators overloaded, which @Operators.overloaded replaces with a
+// class made from their methods; OperatorsBase marks the instances of
+// either
+declare const operatorsBase: unique symbol;
+export interface OperatorsBase {
+  readonly [operatorsBase]: unknown;
+}
+export type DecoratedClass = abstract new (...args: any[]) => OperatorsBase;
+
+type ClassDecorator = (value: DecoratedClass, context: ClassDecoratorContext) => void;
+type MethodDecorator = (value: Function, context: ClassMethodDecoratorContext) => void;
+
+export interface OperatorsFunction {
+  <
+    Self = any,
+    Element = never,
+    Elements extends ElementsConstructor | undefined = undefined,
+    const Others extends readonly OperandType[] = [],
+  >(table: SelfTable<Self, Element, Elements>,
+    ...tables: OtherTables<Self, Others>): OverloadedClass<Element, Elements>;
+
+  new (): OperatorsBase;
+
+  // A subclass of Base with its own operator definitions, merged over
+  // Base's; elements:, [] and []= are as Base defines them
+  extend<
+    Base extends Constructor,
+    Self = InstanceType<Base>,
+    const Others extends readonly OperandType[] = [],
+  >(
+    Base: Base,
+    table?: BinaryDefinitions<Self, Self> & UnaryDefinitions<Self> & OpenOperators,
+    ...tables: OtherTables<Self, Others>
+  ): Base;
+
+  // Decorators: @Operators.overloaded on a class extending Operators,
+  // or @Operators.overloaded({open: [...]}), with @Operators.define on
+  // its methods
+  overloaded(value: DecoratedClass, context: ClassDecoratorContext): void;
+  overloaded(options: {open?: Iterable<BinaryOperator>}): ClassDecorator;
+  define(
+    operator: Operator,
+    options?: {left: OperandType} | {right: OperandType},
+  ): MethodDecorator;
+
+  describe(klass: Constructor): OperatorsDescription;
+  has(klass: OperandType, operator: Operator, other?: OperandType): boolean;
+  scope(...entries: OperatorsEntry[]): OperatorScope;
+}
+
+export const Operators: OperatorsFunction;
+
+// The rest is called by code compiled by the Babel plugin
+
+// The operators enabled at a point in the program
+export interface EnabledOperators {
+  has(counter: number): boolean;
+}
+
+// An inline cache for a call site of _binary or _unary
+export type InlineCache = object;
+
+export function _declareOperators(parent?: EnabledOperators): EnabledOperators;
+export function _withOperatorsFrom(
+  set: EnabledOperators, ...additions: OperatorsEntry[]): EnabledOperators;
+export function _binary(
+  operator: BinaryOperator, a: unknown, b: unknown,
+  operators: EnabledOperators, cache?: InlineCache): any;
+export function _unary(
+  operator: UnaryOperator, a: unknown,
+  operators: EnabledOperators, cache?: InlineCache): any;
@@ -11,7 +11,7 @@
 const OperatorSet = Symbol('OperatorSet');
 const OperatorDefinition = Symbol('OperatorDefinition');
 
-const binaryOperators = ['-', '*', '/', '%', '**', '&', '^', '|', '<<', '>>', '>>>', '==', '+', '<'];
+const binaryOperators = ['-', '*', '/', '%', '**', '&', '^', '|', '<<', '>>', '>>>', '==', '+', '<', '!=', '>', '<=', '>='];
 const binaryOperatorSet = new Set(binaryOperators);
 const unaryOperators = ['pos', 'neg', '++', '--', '~'];
 const unaryOperatorSet = new Set(unaryOperators);
@@ -64,6 +64,18 @@ const identityOperators = {
   '<'(a, b) {
     return a < b;
   },
+  '!='(a, b) {
+    return a != b;
+  },
+  '>'(a, b) {
+    return a > b;
+  },
+  '<='(a, b) {
+    return a <= b;
+  },
+  '>='(a, b) {
+    return a >= b;
+  },
   'pos'(a) {
     return +a;
   },
@@ -96,42 +108,98 @@ if (typeof BigInt !== 'undefined') {
         SelfOperatorDefinition: identityOperators,
         LeftOperatorDefinitions: [identityOperators],
         RightOperatorDefinitions: [identityOperators],
+        LeftOperatorTypes: [Number],
+        RightOperatorTypes: [Number],
         OpenOperators: binaryOperatorSet,
       };
 }
 
+// Strings are added to and compared with numeric values, on either
+// side; their tables only hold those operators, as the others convert
+// strings to numeric values first
+const numericTypes = typeof BigInt !== 'undefined' ? [Number, BigInt] : [Number];
+const stringOpenOperators = new Set(['+', '==', '<', '!=', '>', '<=', '>=']);
+const stringOperators = {};
+for (const operator of stringOpenOperators) {
+  stringOperators[operator] = identityOperators[operator];
+}
+
 String[OperatorDefinition] =
     String.prototype[OperatorSet] = {
       OperatorCounter: 2,
       SelfOperatorDefinition: identityOperators,
-      LeftOperatorDefinitions: [identityOperators, identityOperators],
-      RightOperatorDefinitions: [identityOperators, identityOperators],
-      OpenOperators: ['+', '==', '<'],
+      LeftOperatorDefinitions: numericTypes.map(() => stringOperators),
+      RightOperatorDefinitions: numericTypes.map(() => stringOperators),
+      LeftOperatorTypes: numericTypes,
+      RightOperatorTypes: numericTypes,
+      OpenOperators: stringOpenOperators,
     };
 
-let OperatorCounter = 3;
+// Number, BigInt and String
+const builtinOperatorSetCount = 3;
+let OperatorCounter = builtinOperatorSetCount;
+
+// Keys other than operators allowed in the first table passed to
+// Operators(), and in the others
+const selfTableKeys = new Set(['open', 'elements']);
+const otherTableKeys = new Set(['left', 'right']);
 
-function cleanTable(table, operatorList) {
+// Own properties of functions, which a class's static methods are
+// read alongside when it's given as a table
+const functionKeys = new Set(['length', 'name', 'prototype', 'arguments', 'caller']);
+
+// Throws unless the argument at position to callee is an object, as
+// tables must be
+function checkTable(table, callee, position) {
+  if ((typeof table !== 'object' && typeof table !== 'function') || table === null) {
+    throw new TypeError(`${callee} must be called with an object as argument ${position}, ` +
+        `not ${table === null ? 'null' : typeof table}`);
+  }
+}
+
+// Returns the definitions in table, after checking that each of its
+// own string keys, enumerable or not, is either an operator or one of
+// the extra keys, and that each operator defined is one which the
+// table may define; where describes the table in errors for the
+// others. Definitions are read like the extra keys, so they may be
+// inherited or non-enumerable, as with a class's static methods.
+function cleanTable(table, operators, extraKeys, where) {
+  for (const key of Reflect.ownKeys(table)) {
+    if (typeof key !== 'string') continue;
+    if (typeof table === 'function' && functionKeys.has(key)) continue;
+    if (!extraKeys.has(key) && !operatorSet.has(key)) {
+      throw new TypeError(`Unrecognized operator ${key}`);
+    }
+  }
   const outTable = {};
-  for (const operator of operatorList) {
-    const fn = table[operator];
-    if (typeof fn !== 'undefined') {
-      if (typeof fn !== 'function') {
-        throw new TypeError('Operators must be functions');
-      }
-      outTable[operator] = fn;
+  for (const key of operatorSet) {
+    const fn = table[key];
+    if (typeof fn === 'undefined') continue;
+    if (!operators.has(key)) {
+      throw new TypeError(`the operator ${key} may not be overloaded ${where}`);
+    }
+    if (typeof fn !== 'function') {
+      throw new TypeError(`the definition of ${key} must be a function`);
     }
+    outTable[key] = fn;
   }
   return outTable;
 }
 
-function partitionTables(tables) {
+// Returns the tables and the other operand's types, indexed by
+// the other operand's operator counter; the tables are arguments to
+// callee from position on
+function partitionTables(tables, callee, position) {
   const left = [];
   const right = [];
+  const leftTypes = [];
+  const rightTypes = [];
   for (let table of tables) {
+    checkTable(table, callee, position++);
     const leftType = table.left;
     const rightType = table.right;
-    table = cleanTable(table, binaryOperators);
+    table = cleanTable(table, binaryOperatorSet, otherTableKeys,
+        'in a table with left: or right:');
     if (typeof leftType !== 'undefined') {
       if (typeof rightType !== 'undefined') {
         throw new TypeError('overload table must not be both left and right');
@@ -147,9 +215,13 @@ function partitionTables(tables) {
               `the operator ${key} may not be overloaded on the provided type`);
         }
       }
+      if (right[leftSet.OperatorCounter] !== undefined) {
+        throw new TypeError(`more than one table given with left: ${leftType.name}`);
+      }
       // "Backwards" because this new operator type is on the right
       // and the other argument is on the left
       right[leftSet.OperatorCounter] = table;
+      rightTypes[leftSet.OperatorCounter] = leftType;
     } else {
       if (typeof rightType === 'undefined') {
         throw new TypeError('Either left: or right: must be provided');
@@ -165,10 +237,14 @@ function partitionTables(tables) {
               `the operator ${key} may not be overloaded on the provided type`);
         }
       }
+      if (left[rightSet.OperatorCounter] !== undefined) {
+        throw new TypeError(`more than one table given with right: ${rightType.name}`);
+      }
       left[rightSet.OperatorCounter] = table;
+      leftTypes[rightSet.OperatorCounter] = rightType;
     }
   }
-  return {left, right};
+  return {left, right, leftTypes, rightTypes};
 }
 
 function makeOpenSet(open) {
@@ -178,13 +254,40 @@ function makeOpenSet(open) {
       if (!operatorSet.has(operator)) {
         throw new TypeError(`Unrecognized operator ${operator}`);
       }
+      if (!binaryOperatorSet.has(operator)) {
+        throw new TypeError(
+            `the operator ${operator} may not be open, as it isn't binary`);
+      }
     }
   }
   return new Set(open);
 }
 
+// Returns the value of a canonical array index string up to 15 digits,
+// or -1 for any other string
+function SmallArrayIndex(key) {
+  const length = key.length;
+  if (length === 0 || length > 15) return -1;
+  if (length > 1 && key.charCodeAt(0) === 48) return -1;
+  let n = 0;
+  for (let i = 0; i < length; i++) {
+    const digit = key.charCodeAt(i) - 48;
+    if (digit < 0 || digit > 9) return -1;
+    n = n * 10 + digit;
+  }
+  return n;
+}
+
 function CanonicalNumericIndexString(key) {
   if (typeof key !== 'string') return undefined;
+  // Fast paths: most keys are either small array indices, or
+  // property names which can't be numeric since they don't start
+  // with a digit, "-", "I"nfinity or "N"aN
+  const first = key.charCodeAt(0);
+  if (!(first >= 48 && first <= 57) &&
+      first !== 45 && first !== 73 && first !== 78) return undefined;
+  const index = SmallArrayIndex(key);
+  if (index >= 0) return index;
   if (key === '-0') return -0;
   const n = Number(key);
   if (String(n) !== key) return undefined;
@@ -201,12 +304,128 @@ function IsBadIndex(n) {
   return !IsInteger(n) || n < 0 || Object.is(n, -0);
 }
 
+// Objects overloading [] or []= are Proxies following the semantics of
+// Integer-Indexed Exotic Objects. A single handler is shared by all
+// instances of an Operators class; traps find the Proxy for their
+// target through this property, so that operators and Get("length")
+// see the same object as user code. As with TypedArrays, elements are
+// reported configurable: they aren't properties of the target, which a
+// Proxy may only report non-configurable if they are.
+const IndexedObject = Symbol('IndexedObject');
+
+function makeIndexedHandler(table) {
+  const get = table['[]'];
+  const set = table['[]='];
+  function IntegerIndexedElementGet(object, n) {
+    if (IsBadIndex(n) || get === undefined) return undefined;
+    return get(object, n);
+  }
+  // Get("length") replaces [[ArrayLength]], and is only used here and
+  // in ownKeys
+  function IsValidIntegerIndex(object, n) {
+    if (IsBadIndex(n)) return false;
+    return n < Number(object.length);
+  }
+  return {
+    getOwnPropertyDescriptor(target, key) {
+      const n = CanonicalNumericIndexString(key);
+      if (n === undefined) return Reflect.getOwnPropertyDescriptor(target, key);
+      const object = target[IndexedObject];
+      if (!IsValidIntegerIndex(object, n)) return undefined;
+      const value = IntegerIndexedElementGet(object, n);
+      return {value, writable: true, enumerable: true, configurable: true};
+    },
+    has(target, key) {
+      const n = CanonicalNumericIndexString(key);
+      if (n === undefined) return Reflect.has(target, key);
+      return IsValidIntegerIndex(target[IndexedObject], n);
+    },
+    defineProperty(target, key, desc) {
+      const n = CanonicalNumericIndexString(key);
+      if (n === undefined) return Reflect.defineProperty(target, key, desc);
+      if (IsBadIndex(n) || set === undefined) return false;
+      if (desc.configurable === false ||
+          desc.enumerable === false ||
+          'get' in desc || 'set' in desc ||
+          desc.writable === false) return false;
+      if ('value' in desc) set(target[IndexedObject], n, desc.value);
+      return true;
+    },
+    get(target, key, receiver) {
+      const n = CanonicalNumericIndexString(key);
+      if (n === undefined) return Reflect.get(target, key, receiver);
+      return IntegerIndexedElementGet(target[IndexedObject], n);
+    },
+    set(target, key, value, receiver) {
+      const n = CanonicalNumericIndexString(key);
+      if (n === undefined) return Reflect.set(target, key, value, receiver);
+      if (IsBadIndex(n) || set === undefined) return false;
+      set(target[IndexedObject], n, value);
+      return true;
+    },
+    ownKeys(target) {
+      const length = Number(target[IndexedObject].length);
+      let keys = [];
+      for (let i = 0; i < length; i++) keys.push(String(i));
+      keys = keys.concat(Reflect.ownKeys(target));
+      return keys;
+    },
+  };
+}
+
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+const typedArrayLength =
+    Object.getOwnPropertyDescriptor(TypedArray.prototype, 'length').get;
+
+// As a faster alternative to overloading [] and []=, instances can be
+// backed by an Array or TypedArray, which are already integer-indexed,
+// with their prototype replaced.
+function makeElementsClass(elements, set) {
+  if (elements !== Array && Object.getPrototypeOf(elements) !== TypedArray) {
+    throw new TypeError(
+        'elements: must be Array or a TypedArray constructor');
+  }
+  // Constructed with the arguments of elements, such as a length, or
+  // for a TypedArray, a buffer to view
+  const Overloaded = class {
+    constructor(...args) {
+      const object = new elements(...args);
+      Object.setPrototypeOf(object, new.target.prototype);
+      object[OperatorSet] = constructedOperatorSet(set, new.target);
+      return object;
+    }
+  };
+  if (elements !== Array) {
+    Object.defineProperty(Overloaded.prototype, 'length', {
+      get() {
+        return Reflect.apply(typedArrayLength, this, []);
+      },
+      configurable: true,
+    });
+  }
+  return Overloaded;
+}
+
+// Instances get their operator set when they're created, from the
+// class being constructed: that's set itself, or a set derived from it
+// with Operators.extend. Objects returned by a constructor aren't
+// otherwise touched, so existing objects never gain or change operators.
+function constructedOperatorSet(set, newTarget) {
+  const derived = newTarget[OperatorDefinition];
+  for (let ancestor = derived; ancestor !== undefined; ancestor = ancestor.Parent) {
+    if (ancestor === set) return derived;
+  }
+  return set;
+}
+
 export function Operators(table, ...tables) {
+  checkTable(table, 'Operators', 1);
   const counter = OperatorCounter++;
 
+  const elements = table.elements;
   let open = table.open;
-  table = cleanTable(table, allOperators);
-  const {left, right} = partitionTables(tables);
+  table = cleanTable(table, operatorSet, selfTableKeys);
+  const {left, right, leftTypes, rightTypes} = partitionTables(tables, 'Operators', 2);
   open = makeOpenSet(open);
 
   const set = {
@@ -214,74 +433,35 @@ export function Operators(table, ...tables) {
     SelfOperatorDefinition: table,
     LeftOperatorDefinitions: left,
     RightOperatorDefinitions: right,
+    LeftOperatorTypes: leftTypes,
+    RightOperatorTypes: rightTypes,
     OpenOperators: open,
+    Elements: elements,
   };
 
   let Overloaded;
-  if ('[]' in table || '[]=' in table) {
+  if (elements !== undefined) {
+    if ('[]' in table || '[]=' in table) {
+      throw new TypeError('elements: may not be combined with [] or []=');
+    }
+    Overloaded = makeElementsClass(elements, set);
+  } else if ('[]' in table || '[]=' in table) {
+    const handler = makeIndexedHandler(table);
     Overloaded = class {
       constructor() {
-        // Unfortunately, we have to close over proxy to invoke Get("length"),
-        // so that the receiver will be accurate (e.g., in case it uses private)
-        const proxy = new Proxy({__proto__: new.target.prototype, [OperatorSet]: set}, {
-          getOwnPropertyDescriptor(target, key) {
-            const n = CanonicalNumericIndexString(key);
-            if (n === undefined) return Reflect.getOwnPropertyDescriptor(target, key, proxy);
-            if (IsBadIndex(n)) return undefined;
-            const length = Number(proxy.length);
-            if (n >= length) return undefined;
-            const value = table['[]'](proxy, n);
-            return {value, writable: true, enumerable: true, configurable: false};
-          },
-          has(target, key) {
-            const n = CanonicalNumericIndexString(key);
-            if (n === undefined) return Reflect.has(target, key, proxy);
-            if (IsBadIndex(n)) return false;
-            const length = Number(proxy.length);
-            return n < length;
-          },
-          defineProperty(target, key, desc) {
-            const n = CanonicalNumericIndexString(key);
-            if (n === undefined) return Reflect.defineProperty(target, key, desc, proxy);
-            if (IsBadIndex(n)) return false;
-            if (desc.writable === false ||
-                desc.enumerable === false ||
-                desc.configurable === true) return false;
-            table['[]='](proxy, n, desc.value);
-            Reflect.defineProperty(target, key, desc, proxy); // Necessary for integrity checks
-            return true;
-          },
-          get(target, key) {
-            const n = CanonicalNumericIndexString(key);
-            if (n === undefined) return Reflect.get(target, key, proxy);
-            if (IsBadIndex(n)) return undefined;
-            const length = Number(proxy.length);
-            if (n >= length) return undefined;
-            const value = table['[]'](proxy, n);
-            return value;
-          },
-          set(target, key, value) {
-            const n = CanonicalNumericIndexString(key);
-            if (n === undefined) return Reflect.set(target, key, value, proxy);
-            if (IsBadIndex(n)) return false;
-            table['[]='](proxy, n, value);
-            return true;
-          },
-          ownKeys(target) {
-            const length = Number(proxy.length);
-            let keys = [];
-            for (let i = 0; i < length; i++) keys.push(String(i));
-            keys = keys.concat(Reflect.ownKeys(target, proxy));
-            return keys;
-          },
-        });
+        const target = {
+          __proto__: new.target.prototype,
+          [OperatorSet]: constructedOperatorSet(set, new.target),
+        };
+        const proxy = new Proxy(target, handler);
+        target[IndexedObject] = proxy;
         return proxy;
       }
     };
   } else {
     Overloaded = class {
       constructor() {
-        this[OperatorSet] = set;
+        this[OperatorSet] = constructedOperatorSet(set, new.target);
       }
     };
   }
@@ -290,48 +470,171 @@ export function Operators(table, ...tables) {
   return Overloaded;
 }
 
+// Extra keys allowed in the first table passed to Operators.extend;
+// elements:, [] and []= stay as the base class defines them, since
+// they determine how instances are constructed
+const extendTableKeys = new Set(['open']);
+const extendOperatorSet = new Set([...binaryOperators, ...unaryOperators]);
+
+// Operators.extend(Base, table, ...tables) returns a subclass of Base,
+// a class with operators overloaded, whose instances have a derived
+// operator set. The first table is merged over Base's own definitions;
+// the rest are left:/right: tables as for Operators(). Definitions
+// between two types are looked up for the most derived types first,
+// so Base's tables apply to the subclass unless it overrides them.
+Operators.extend = function(Base, table = {}, ...tables) {
+  const parent = operatorDefinitionOf(Base);
+  if (parent === undefined || parent.OperatorCounter < builtinOperatorSetCount) {
+    throw new TypeError(
+        'Operators.extend must be called with a class with operators overloaded');
+  }
+  checkTable(table, 'Operators.extend', 2);
+  const counter = OperatorCounter++;
+
+  let open = table.open;
+  table = cleanTable(table, extendOperatorSet, extendTableKeys,
+      'with Operators.extend');
+  const {left, right, leftTypes, rightTypes} =
+      partitionTables(tables, 'Operators.extend', 3);
+  open = makeOpenSet(open);
+
+  const set = {
+    OperatorCounter: counter,
+    Parent: parent,
+    SelfOperatorDefinition: {...parent.SelfOperatorDefinition, ...table},
+    LeftOperatorDefinitions: left,
+    RightOperatorDefinitions: right,
+    LeftOperatorTypes: leftTypes,
+    RightOperatorTypes: rightTypes,
+    OpenOperators: new Set([...parent.OpenOperators, ...open]),
+    Elements: parent.Elements,
+  };
+
+  const Derived = class extends Base { };
+  Derived[OperatorDefinition] = set;
+
+  return Derived;
+};
+
+// Both the 2018-09 descriptor-based decorators and the standardized
+// decorators (2022-03 and later) are supported. The former are
+// detected by their Descriptor objects, the latter by the context
+// object passed as the second argument.
+
 // klass => Array of {operator, definition, options}
 const decoratorOperators = new WeakMap();
 
+// method => Array of {operator, options}
+// Standard method decorators don't get access to the class, so the
+// class decorator finds the decorated methods among the class's own.
+const decoratedMethods = new WeakMap();
+
+function isDecoratorContext(context) {
+  return typeof context === 'object' && context !== null &&
+      typeof context.kind === 'string';
+}
+
+// The class's constructor calls super(), which goes to the class made
+// here from its methods: with Operators() if it extends Operators
+// itself, or with Operators.extend() if it extends a class with
+// operators overloaded, so that it keeps that class's definitions
+function overloadClass(klass, operators, open) {
+  const base = Object.getPrototypeOf(klass);
+  const extending = base !== Operators;
+  const parent = operatorDefinitionOf(base);
+  if (extending &&
+      (parent === undefined || parent.OperatorCounter < builtinOperatorSetCount)) {
+    throw new TypeError(
+        '@Operators.overloaded must be used on a class extending Operators ' +
+        'or a class with operators overloaded');
+  }
+  // Operators() validates the options and open operators
+  const args = [{...open}];
+  // Gratuitiously inefficient algorithm follows
+  for (const {operator, definition, options} of operators) {
+    if (options === undefined) {
+      args[0][operator] = definition;
+    } else {
+      let obj = args.find((entry, i) => i > 0 &&
+        entry.right === options.right && entry.left === options.left);
+      if (!obj) {
+        obj = {...options};
+        args.push(obj);
+      }
+      obj[operator] = definition;
+    }
+  }
+  // get operators and process them into args
+  const superclass = extending ? Operators.extend(base, ...args) : Operators(...args);
+  Object.setPrototypeOf(klass, superclass);
+  Object.setPrototypeOf(klass.prototype, superclass.prototype);
+}
+
 function OperatorsOverloaded(descriptor, open) {
-  // This algorithm doesn't contain enough validation
-  // (of options and open) and is too inefficient
   descriptor.finisher = (klass) => {
-    const args = [{...open}];
     const operators = decoratorOperators.get(klass);
     if (operators === undefined) throw new TypeError('No operators overloaded');
     decoratorOperators.delete(klass);
-    // Gratuitiously inefficient algorithm follows
-    for (const {operator, definition, options} of operators) {
-      if (options === undefined) {
-        args[0][operator] = definition;
-      } else {
-        let obj = args.find((entry) =>
-          entry.right === options.right || entry.left === options.left);
-        if (!obj) {
-          obj = {...options};
-          args.push(obj);
-        }
-        obj[operator] = definition;
+    overloadClass(klass, operators, open);
+  };
+}
+
+function methodOperators(klass) {
+  const operators = [];
+  for (const home of [klass.prototype, klass]) {
+    for (const key of Reflect.ownKeys(home)) {
+      const definition = Reflect.getOwnPropertyDescriptor(home, key).value;
+      const methods = decoratedMethods.get(definition);
+      if (methods === undefined) continue;
+      for (const {operator, options} of methods) {
+        operators.push({operator, definition, options});
       }
     }
-    // get operators and process them into args
-    const superclass = Operators(...args);
-    Object.setPrototypeOf(klass, superclass);
-    Object.setPrototypeOf(klass.prototype, superclass.prototype);
-  };
+  }
+  return operators;
+}
+
+function OperatorsOverloadedStandard(klass, context, open) {
+  if (context.kind !== 'class') {
+    throw new TypeError('@Operators.overloaded must be used on a class');
+  }
+  const operators = methodOperators(klass);
+  if (operators.length === 0) throw new TypeError('No operators overloaded');
+  overloadClass(klass, operators, open);
 }
 
-Operators.overloaded = function(arg) {
-  if (arg[Symbol.toStringTag] === 'Descriptor') {
+Operators.overloaded = function(arg, context) {
+  if (isDecoratorContext(context)) {
+    return OperatorsOverloadedStandard(arg, context);
+  } else if (arg[Symbol.toStringTag] === 'Descriptor') {
     return OperatorsOverloaded(arg);
   } else {
-    return (descriptor) => OperatorsOverloaded(descriptor, arg);
+    return (value, context) => isDecoratorContext(context) ?
+      OperatorsOverloadedStandard(value, context, arg) :
+      OperatorsOverloaded(value, arg);
   }
 };
 
+function defineStandard(method, context, operator, options) {
+  if (context.kind !== 'method') {
+    throw new TypeError('@Operator.define must be used on a method');
+  }
+  if (context.private) {
+    throw new TypeError('@Operator.define must be used on a public method');
+  }
+  let methods = decoratedMethods.get(method);
+  if (methods === undefined) {
+    methods = [];
+    decoratedMethods.set(method, methods);
+  }
+  methods.push({operator, options});
+}
+
 Operators.define = function(operator, options) {
-  return function(descriptor) {
+  return function(descriptor, context) {
+    if (isDecoratorContext(context)) {
+      return defineStandard(descriptor, context, operator, options);
+    }
     if (descriptor.kind !== 'method') {
       throw new TypeError('@Operator.define must be used on a method');
     }
@@ -347,21 +650,196 @@ Operators.define = function(operator, options) {
   };
 };
 
-const defaultOperators = [0, 1, 2];
+// Reflection
+
+function operatorDefinitionOf(klass) {
+  return typeof klass === 'function' ? klass[OperatorDefinition] : undefined;
+}
+
+// Lists tables along with the other operand's type, like the
+// tables passed to Operators(), merging in those a set derived with
+// Operators.extend inherits, as lookupDefinition falls back to them
+function describeTables(set, definitionsKey, typesKey) {
+  const operators = [];
+  const types = [];
+  for (let s = set; s !== undefined; s = s.Parent) {
+    const definitions = s[definitionsKey] || [];
+    definitions.forEach((table, counter) => {
+      operators[counter] = new Set([...(operators[counter] || []), ...Object.keys(table)]);
+      types[counter] = s[typesKey][counter];
+    });
+  }
+  const tables = [];
+  operators.forEach((names, counter) => {
+    tables.push(Object.freeze({
+      type: types[counter],
+      operators: Object.freeze([...names]),
+    }));
+  });
+  return Object.freeze(tables);
+}
+
+Operators.describe = function(klass) {
+  const set = operatorDefinitionOf(klass);
+  if (set === undefined) {
+    throw new TypeError(
+        'Operators.describe must be called with a class with operators overloaded');
+  }
+  if (set.Description === undefined) {
+    set.Description = Object.freeze({
+      operators: Object.freeze(Object.keys(set.SelfOperatorDefinition)),
+      // Tables given with left: have this type on the right
+      left: describeTables(set, 'RightOperatorDefinitions', 'RightOperatorTypes'),
+      right: describeTables(set, 'LeftOperatorDefinitions', 'LeftOperatorTypes'),
+      open: Object.freeze([...set.OpenOperators]),
+      elements: set.Elements,
+    });
+  }
+  return set.Description;
+};
+
+// Whether operator applies to operands with operator sets aSet and
+// bSet, either defined or derived as in resolveBinaryOperator
+function hasBinaryOperator(operator, aSet, bSet) {
+  if (typeof lookupDefinition(operator, aSet, bSet) === 'function') return true;
+  switch (operator) {
+    case '!=':
+      return hasBinaryOperator('==', aSet, bSet);
+    case '>':
+    case '<=':
+      return hasBinaryOperator('<', bSet, aSet);
+    case '>=':
+      return hasBinaryOperator('<', aSet, bSet);
+    default:
+      return false;
+  }
+}
+
+Operators.has = function(klass, operator, other = klass) {
+  if (!operatorSet.has(operator)) {
+    throw new TypeError(`Unrecognized operator ${operator}`);
+  }
+  const aSet = operatorDefinitionOf(klass);
+  const bSet = operatorDefinitionOf(other);
+  if (aSet === undefined || bSet === undefined) return false;
+  if (!binaryOperatorSet.has(operator)) {
+    if (aSet !== bSet) return false;
+    if (aSet.Elements !== undefined && (operator === '[]' || operator === '[]=')) {
+      return true;
+    }
+    return typeof aSet.SelfOperatorDefinition[operator] === 'function';
+  }
+  return hasBinaryOperator(operator, aSet, bSet);
+};
+
+// Operator scopes are fixed collections of the types to enable
+// operators for, which a module can export for others to use in
+// `with operators from` declarations, or for the transform's
+// operatorScope option to enable throughout each file.
+const ScopeOperators = Symbol('ScopeOperators');
+
+class OperatorScope {
+  constructor(operators) {
+    this[ScopeOperators] = operators;
+    Object.freeze(this);
+  }
+}
+
+// Adds the operator counters for entry, a class with overloaded
+// operators or an operator scope, to set
+function addOperators(set, entry) {
+  if (entry instanceof OperatorScope) {
+    for (const counter of entry[ScopeOperators]) set.add(counter);
+    return;
+  }
+  const definition = entry == null ? undefined : entry[OperatorDefinition];
+  if (!definition) {
+    throw new TypeError(
+        'with operator from must be invoked with a class ' +
+        'with overloaded operators or an operator scope');
+  }
+  // A derived type's definitions build on its base types', so
+  // those are enabled too; the reverse isn't the case, so code using
+  // operators from a base type doesn't pick up a subclass's
+  // overrides without opting in to them
+  for (let ancestor = definition; ancestor !== undefined;
+    ancestor = ancestor.Parent) {
+    set.add(ancestor.OperatorCounter);
+  }
+}
+
+Operators.scope = function(...entries) {
+  const operators = new Set();
+  for (const entry of entries) addOperators(operators, entry);
+  return new OperatorScope(operators);
+};
+
+// The operators enabled at a point in the program, as an immutable
+// bit vector indexed by operator counter, as suggested in PROTOSPEC.md.
+// A set never changes after being made: each `with operators from`
+// declaration makes a new one, so closures keep the operators enabled
+// where they were created, and an inline cache can tell from a set's
+// identity that its contents are the same.
+const EnabledBits = Symbol('EnabledBits');
+// The sets made by adding each class or scope to this one, so that a
+// declaration run on every call of a function finds its set again
+// rather than making another
+const Transitions = Symbol('Transitions');
+
+class EnabledOperators {
+  constructor(bits) {
+    this[EnabledBits] = bits;
+    this[Transitions] = new WeakMap();
+    Object.freeze(this);
+  }
+
+  has(counter) {
+    const bits = this[EnabledBits];
+    const word = counter >>> 5;
+    return word < bits.length && (bits[word] & (1 << (counter & 31))) !== 0;
+  }
+}
+
+const defaultOperators = new EnabledOperators(Uint32Array.of(0b111));
+
+// Returns the set with the operators of set and of entry, a class
+// with overloaded operators or an operator scope
+function addEntry(set, entry) {
+  const counters = new Set();
+  addOperators(counters, entry);
+  let bits = set[EnabledBits];
+  for (const counter of counters) {
+    if (set.has(counter)) continue;
+    const word = counter >>> 5;
+    if (bits === set[EnabledBits] || word >= bits.length) {
+      const grown = new Uint32Array(Math.max(bits.length, word + 1));
+      grown.set(bits);
+      bits = grown;
+    }
+    bits[word] |= 1 << (counter & 31);
+  }
+  // Unchanged sets keep their identity, for inline caches
+  return bits === set[EnabledBits] ? set : new EnabledOperators(bits);
+}
+
+// The operators at the start of a block are those of the enclosing one
 export function _declareOperators(parent = defaultOperators) {
-  return new Set([...parent]);
+  return parent;
 }
 
+// Returns the operators of set together with those of the additions;
+// set itself is unchanged
 export function _withOperatorsFrom(set, ...additions) {
-  for (const klass of additions) {
-    const definition = klass[OperatorDefinition];
-    if (!definition) {
-      throw new TypeError(
-          'with operator from must be invoked with a class ' +
-          'with overloaded operators');
+  for (const entry of additions) {
+    const transitions = set[Transitions];
+    let next = isObject(entry) ? transitions.get(entry) : undefined;
+    if (next === undefined) {
+      next = addEntry(set, entry);
+      transitions.set(entry, next);
     }
-    set.add(definition.OperatorCounter);
+    set = next;
   }
+  return set;
 }
 
 function isNumeric(x) {
@@ -372,14 +850,35 @@ function isObject(x) {
   return typeof x === 'object' && x !== null || typeof x === 'function';
 }
 
+// Returns the operator set of an object with overloaded operators, or
+// undefined for anything else. Wrapper objects like new Number(1)
+// inherit their primitive's built-in operator set, but are ordinary
+// objects, converted by ToPrimitive like any other.
+function overloadedOperatorSet(obj) {
+  if (!isObject(obj)) return undefined;
+  const set = obj[OperatorSet];
+  if (set === undefined || set.OperatorCounter < builtinOperatorSetCount) {
+    return undefined;
+  }
+  return set;
+}
+
 function hasOverloadedOperators(obj) {
-  return isObject(obj) && OperatorSet in obj;
+  return overloadedOperatorSet(obj) !== undefined;
 }
 
 function ToNumericOperand(a) {
   if (isNumeric(a)) return a;
   if (hasOverloadedOperators(a)) return a;
-  return +a; // Sloppy on BigInt wrappers
+  return ToNumeric(a);
+}
+
+// The name of an operand's type, for error messages
+function typeName(x) {
+  if (x === null) return 'null';
+  if (!isObject(x)) return typeof x;
+  const constructor = x.constructor;
+  return typeof constructor === 'function' && constructor.name || typeof x;
 }
 
 function checkPermitted(a, operatorSet, operator) {
@@ -387,164 +886,288 @@ function checkPermitted(a, operatorSet, operator) {
   if (!operatorSet.has(operatorCounter)) {
     throw new TypeError(
         '`with operators from` declaration missing before overload usage' +
-        ` in evaluating ${operator}`);
+        ` in evaluating ${operator} on ${typeName(a)}`);
   }
 }
 
-function assertFunction(fn, operator) {
+function assertFunction(fn, operator, ...operands) {
   if (typeof fn !== 'function') {
-    throw new TypeError(`No overload found for ${operator}`);
+    throw new TypeError(
+        `No overload found for ${operator} (${operands.map(typeName).join(', ')})`);
   }
 }
 
-function dispatchBinaryOperator(operator, a, b, operatorSet) {
-  checkPermitted(a, operatorSet, operator);
-  if (a[OperatorSet] === b[OperatorSet]) {
-    const fn = a[OperatorSet].SelfOperatorDefinition[operator];
-    assertFunction(fn, operator);
-    return fn(a, b);
+// Returns the definition of operator for a and b, or undefined
+function lookupBinaryOperator(operator, a, b, operatorSet) {
+  // null, undefined and symbols have no operator set
+  const aSet = a == null ? undefined : a[OperatorSet];
+  const bSet = b == null ? undefined : b[OperatorSet];
+  if (aSet !== undefined) checkPermitted(a, operatorSet, operator);
+  if (bSet !== undefined && bSet !== aSet) checkPermitted(b, operatorSet, operator);
+  if (aSet === undefined || bSet === undefined) return undefined;
+  return lookupDefinition(operator, aSet, bSet);
+}
+
+// Returns the definition of operator for operands with the operator
+// sets aSet and bSet, or undefined
+function lookupDefinitionIn(operator, aSet, bSet) {
+  let definitions;
+  if (aSet === bSet) {
+    definitions = aSet.SelfOperatorDefinition;
   } else {
-    checkPermitted(b, operatorSet, operator);
-    let definitions;
-    if (a[OperatorSet].OperatorCounter < b[OperatorSet].OperatorCounter) {
-      definitions = b[OperatorSet].RightOperatorDefinitions[
-          a[OperatorSet].OperatorCounter];
+    if (aSet.OperatorCounter < bSet.OperatorCounter) {
+      definitions = bSet.RightOperatorDefinitions[aSet.OperatorCounter];
     } else {
-      definitions = a[OperatorSet].LeftOperatorDefinitions[
-          b[OperatorSet].OperatorCounter];
+      definitions = aSet.LeftOperatorDefinitions[bSet.OperatorCounter];
+    }
+    if (typeof definitions !== 'object') return undefined;
+  }
+  return definitions[operator];
+}
+
+// Sets derived with Operators.extend inherit their parents' tables:
+// the most derived pair of types with a definition wins, preferring
+// the more derived type on the left when both operands are derived
+function lookupDefinition(operator, aSet, bSet) {
+  for (let a = aSet; a !== undefined; a = a.Parent) {
+    for (let b = bSet; b !== undefined; b = b.Parent) {
+      const fn = lookupDefinitionIn(operator, a, b);
+      if (fn !== undefined) return fn;
+    }
+  }
+  return undefined;
+}
+
+// Returns the function implementing operator for a and b, at least
+// one of which has overloaded operators, deriving it if need be
+function resolveBinaryOperator(operator, a, b, operatorSet) {
+  if (operator === '==' || operator === '!=') {
+    return resolveEqualityOperator(operator, a, b, operatorSet);
+  }
+  // A dedicated definition of >, <= or >= takes precedence over
+  // deriving it, which is only right for totally ordered types
+  const fn = lookupBinaryOperator(operator, a, b, operatorSet);
+  if (typeof fn === 'function') return fn;
+  switch (operator) {
+    case '>': {
+      const lessThan = resolveBinaryOperator('<', b, a, operatorSet);
+      return (x, y) => lessThan(y, x);
+    }
+    case '<=': {
+      const lessThan = resolveBinaryOperator('<', b, a, operatorSet);
+      return (x, y) => !lessThan(y, x);
     }
-    if (typeof definitions !== 'object') {
-      throw new TypeError(`No overload found for ${operator}`);
+    case '>=': {
+      const lessThan = resolveBinaryOperator('<', a, b, operatorSet);
+      return (x, y) => !lessThan(x, y);
     }
-    const fn = definitions[operator];
-    assertFunction(fn, operator);
-    return fn(a, b);
   }
+  assertFunction(fn, operator, a, b);
+  return fn;
 }
 
-export function _binary(operator, a, b, operatorSet) {
+// As in PROTOSPEC, identical operands are equal, and other operands
+// without a definition of == are unequal, rather than a TypeError, so
+// that generic code can compare any values
+function resolveEqualityOperator(operator, a, b, operatorSet) {
+  const equal = operator === '==';
+  const fn = lookupBinaryOperator(operator, a, b, operatorSet);
+  if (typeof fn === 'function') {
+    return (x, y) => x === y ? equal : fn(x, y);
+  }
+  // A dedicated != takes precedence over negating ==
+  if (!equal) {
+    const equals = resolveEqualityOperator('==', a, b, operatorSet);
+    return (x, y) => !equals(x, y);
+  }
+  return (x, y) => x === y;
+}
+
+// Inline caches
+//
+// The transform passes each _binary and _unary call site an object
+// of its own, in which the function resolved for the last operands
+// seen there is kept, along with their operator sets and the operators
+// in scope. As none of these ever change, later operands with the same
+// operator sets in the same scope can skip straight to the call. The
+// check reads the operands' operator sets directly, without working
+// out whether they'd be cached: only numeric primitives and objects
+// with overloaded operators are, and nothing else has their operator
+// sets apart from numeric wrapper objects.
+
+// The key for operands which the operators don't convert before
+// dispatch, numeric primitives and objects with overloaded operators,
+// or undefined for others, which are never cached
+function cacheKey(x) {
+  switch (typeof x) {
+    case 'object':
+    case 'function':
+      return overloadedOperatorSet(x);
+    case 'number':
+      return Number.prototype[OperatorSet];
+    case 'bigint':
+      return BigInt.prototype[OperatorSet];
+    default:
+      return undefined;
+  }
+}
+
+// Whether x has the operator set key, for which numeric is whether
+// it's that of numeric primitives: wrapper objects like new Number(1)
+// share it, but are converted by ToPrimitive before dispatch
+function hasCacheKey(x, key, numeric) {
+  if (x == null || x[OperatorSet] !== key) return false;
+  return !numeric || typeof x !== 'object';
+}
+
+function isBinaryCacheHit(cache, a, b, operatorSet) {
+  return cache.operators === operatorSet &&
+      hasCacheKey(a, cache.left, cache.leftNumeric) &&
+      hasCacheKey(b, cache.right, cache.rightNumeric);
+}
+
+function updateBinaryCache(cache, a, b, operatorSet, fn) {
+  const left = cacheKey(a);
+  const right = cacheKey(b);
+  if (left !== undefined && right !== undefined) {
+    cache.operators = operatorSet;
+    cache.left = left;
+    cache.leftNumeric = isNumeric(a);
+    cache.right = right;
+    cache.rightNumeric = isNumeric(b);
+    cache.fn = fn;
+  }
+}
+
+function dispatchBinaryOperator(operator, a, b, operatorSet, cache) {
+  const fn = resolveBinaryOperator(operator, a, b, operatorSet);
+  if (cache !== undefined) updateBinaryCache(cache, a, b, operatorSet, fn);
+  return fn(a, b);
+}
+
+export function _binary(operator, a, b, operatorSet, cache) {
+  if (cache !== undefined && isBinaryCacheHit(cache, a, b, operatorSet)) {
+    return cache.fn(a, b);
+  }
   switch (operator) {
     case "+":
-      return _additionOperator(a, b, operatorSet);
+      return _additionOperator(a, b, operatorSet, cache);
     case "==":
-      return _abstractEqualityComparison(a, b, operatorSet);
     case "!=":
-      return !_abstractEqualityComparison(a, b, operatorSet);
+      return _abstractEqualityComparison(operator, a, b, operatorSet, cache);
     case "<":
     case ">":
     case "<=":
     case ">=":
-      return _abstractRelationalComparison(operator, a, b, operatorSet);
+      return _abstractRelationalComparison(operator, a, b, operatorSet, cache);
     default:
-      return _numericBinaryOperate(operator, a, b, operatorSet);
+      return _numericBinaryOperate(operator, a, b, operatorSet, cache);
   }
 }
 
 // Binary -, *, /, %, **, &, ^, |, <<, >>, >>>
-function _numericBinaryOperate(operator, a, b, operatorSet) {
+function _numericBinaryOperate(operator, a, b, operatorSet, cache) {
   if (isNumeric(a) && isNumeric(b)) return identityOperators[operator](a, b); // micro-optimization
   a = ToNumericOperand(a);
   b = ToNumericOperand(b);
-  return dispatchBinaryOperator(operator, a, b, operatorSet);
+  return dispatchBinaryOperator(operator, a, b, operatorSet, cache);
 }
 
 // pos, neg, ++, --, ~
-export function _unary(operator, a, operatorSet) {
+export function _unary(operator, a, operatorSet, cache) {
   if (isNumeric(a)) return identityOperators[operator](a); // micro-optimization
+  if (cache !== undefined && cache.operators === operatorSet &&
+      hasCacheKey(a, cache.left, false)) {
+    return cache.fn(a);
+  }
   a = ToNumericOperand(a);
 
   checkPermitted(a, operatorSet, operator);
   const fn = a[OperatorSet].SelfOperatorDefinition[operator];
-  assertFunction(fn, operator);
+  assertFunction(fn, operator, a);
+  if (cache !== undefined) {
+    cache.operators = operatorSet;
+    cache.left = a[OperatorSet];
+    cache.fn = fn;
+  }
   return fn(a);
 }
 
-function ToPrimitive(x) {
-  // This does Number hint/default (we're just skipping @@toPrimitive)
-  if (isObject(x)) {
-    for (const method of ['valueOf', 'toString']) {
-      const fn = x[method];
-      if (typeof fn === 'function') {
-        const result = fn(x);
-        if (!isObject(result)) {
-          return result;
-        }
-      }
+// hint is 'default', 'number' or 'string'
+function ToPrimitive(x, hint = 'default') {
+  if (!isObject(x)) return x;
+  const exoticToPrimitive = x[Symbol.toPrimitive];
+  if (exoticToPrimitive !== undefined && exoticToPrimitive !== null) {
+    if (typeof exoticToPrimitive !== 'function') {
+      throw new TypeError('Symbol.toPrimitive must be a function');
     }
-    throw new TypeError('ToPrimitive failed'); // weird!
-  } else {
-    return x;
+    const result = Reflect.apply(exoticToPrimitive, x, [hint]);
+    if (isObject(result)) {
+      throw new TypeError('Cannot convert object to primitive value');
+    }
+    return result;
   }
+  const methods = hint === 'string'
+      ? ['toString', 'valueOf']
+      : ['valueOf', 'toString'];
+  for (const method of methods) {
+    const fn = x[method];
+    if (typeof fn === 'function') {
+      const result = Reflect.apply(fn, x, []);
+      if (!isObject(result)) return result;
+    }
+  }
+  throw new TypeError('Cannot convert object to primitive value');
+}
+
+function ToNumeric(x) {
+  const primitive = ToPrimitive(x, 'number');
+  if (typeof primitive === 'bigint') return primitive;
+  return +primitive;
 }
 
-function ToOperand(x) {
+function ToOperand(x, hint) {
   if (hasOverloadedOperators(x)) return x;
-  return ToPrimitive(x);
+  return ToPrimitive(x, hint);
 }
 
-// ==
-function _abstractEqualityComparison(x, y, operatorSet) {
-  if (typeof x === typeof y && !isObject(x)) return x === y;
-  if (x === null && y === void 0) return true;
-  if (x === void 0 && y === null) return true;
-  if (typeof x === 'boolean') {
-    return _abstractEqualityComparison(Number(x), y, operatorSet);
-  }
-  if (typeof y === 'boolean') {
-    return _abstractEqualityComparison(x, Number(y), operatorSet);
+// ==, !=
+function _abstractEqualityComparison(operator, x, y, operatorSet, cache) {
+  // Without overloading, this is the usual comparison, which only
+  // converts objects compared to primitives
+  if (!hasOverloadedOperators(x) && !hasOverloadedOperators(y)) {
+    return identityOperators[operator](x, y);
   }
+  if (typeof x === 'boolean') x = Number(x);
+  if (typeof y === 'boolean') y = Number(y);
   x = ToOperand(x);
   y = ToOperand(y);
-  if (!hasOverloadedOperators(x) && !hasOverloadedOperators(y)) return x == y;
-  return dispatchBinaryOperator('==', x, y, operatorSet);
+  return dispatchBinaryOperator(operator, x, y, operatorSet, cache);
 }
 
 // +
-function _additionOperator(a, b, operatorSet) {
-  // Sloppy about String wrappers
+function _additionOperator(a, b, operatorSet, cache) {
   a = ToOperand(a);
   b = ToOperand(b);
+  if (!hasOverloadedOperators(a) && !hasOverloadedOperators(b)) {
+    return a + b;
+  }
   if (typeof a === 'string' || typeof b === 'string') {
+    // Types may define + with strings, for example to escape them,
+    // and otherwise concatenate with them
+    const fn = lookupBinaryOperator('+', a, b, operatorSet);
+    if (typeof fn === 'function') return fn(a, b);
     return a + b;
   }
-  return dispatchBinaryOperator('+', a, b, operatorSet);
+  return dispatchBinaryOperator('+', a, b, operatorSet, cache);
 }
 
 // <, >, <=, >=
-function _abstractRelationalComparison(operator, a, b, operatorSet) {
-  a = ToOperand(a);
-  b = ToOperand(b);
-  let swap; let not;
-  switch (operator) {
-    case '<':
-      swap = false;
-      not = false;
-      break;
-    case '>':
-      swap = true;
-      not = false;
-      break;
-    case '<=':
-      swap = true;
-      not = true;
-      break;
-    case '>=':
-      swap = false;
-      not = true;
-      break;
-    default: throw new TypeError;
-  }
-  if (swap) {
-    [a, b] = [b, a];
-  }
-  let result;
+function _abstractRelationalComparison(operator, a, b, operatorSet, cache) {
+  a = ToOperand(a, 'number');
+  b = ToOperand(b, 'number');
   if (!hasOverloadedOperators(a) && !hasOverloadedOperators(b)) {
-    result = a < b;
-  } else {
-    result = dispatchBinaryOperator('<', a, b, operatorSet);
-  }
-  if (not) {
-    result = !result;
+    return identityOperators[operator](a, b);
   }
-  return result;
+  return dispatchBinaryOperator(operator, a, b, operatorSet, cache);
 }
@@ -1,7 +1,20 @@
+const babel = require("@babel/core");
+const fs = require("fs");
+const vm = require("vm");
 const shim = require("./build/shim.js");
 
 describe("Operators without overloading registered", () => {
   const operators = shim._declareOperators();
+  it('load where BigInt is missing', () => {
+    const module = { exports: {} };
+    const context = vm.createContext({ module, exports: module.exports });
+    vm.runInContext('delete globalThis.BigInt;', context);
+    vm.runInContext(fs.readFileSync(require.resolve('./build/shim.js'), 'utf8'), context);
+    const { Operators, _binary, _declareOperators } = module.exports;
+    expect(_binary('+', 'a', 1, _declareOperators())).toBe('a1');
+    const { left } = Operators.describe(vm.runInContext('String', context));
+    expect(left.map(table => table.type)).toEqual([vm.runInContext('Number', context)]);
+  });
   it('addition on Numbers works as usual', () => {
     expect(shim._binary("+", 1, 2, operators)).toBe(3);
   });
@@ -94,6 +107,16 @@ describe("Operators without overloading registered", () => {
     expect(shim._binary('>=', 2, 2, operators)).toBe(true);
     expect(shim._binary('>=', 3, 2, operators)).toBe(true);
   });
+  it('comparisons with NaN are false', () => {
+    expect(shim._binary('<', 1, NaN, operators)).toBe(false);
+    expect(shim._binary('>', 1, NaN, operators)).toBe(false);
+    expect(shim._binary('<=', 1, NaN, operators)).toBe(false);
+    expect(shim._binary('>=', 1, NaN, operators)).toBe(false);
+    expect(shim._binary('<=', NaN, 1, operators)).toBe(false);
+    expect(shim._binary('>=', NaN, 1, operators)).toBe(false);
+    expect(shim._binary('!=', NaN, NaN, operators)).toBe(true);
+    expect(shim._binary('<=', undefined, 1, operators)).toBe(false);
+  });
   it('* works', () => {
     expect(shim._binary('*', 2, 3, operators)).toBe(6);
     expect(shim._binary('*', "2", 3, operators)).toBe(6);
@@ -114,6 +137,120 @@ describe("Operators without overloading registered", () => {
   });
 });
 
+describe('conformance with native operators', () => {
+  const operators = shim._declareOperators();
+
+  // Each operand is made fresh for each evaluation, logging the
+  // conversions performed on it
+  function operandKinds(log) {
+    const logged = (name, value) => function(...args) {
+      log.push(`${name}(${args.join()})`);
+      return value;
+    };
+    return [
+      () => 0, () => -1.5, () => NaN, () => 2n, () => '', () => '2', () => 'abc',
+      () => true, () => false, () => null, () => undefined, () => Symbol.iterator,
+      () => ({}), () => [], () => [2], () => new Date(0), () => function() {},
+      () => Object(3), () => Object(4n), () => Object('5'), () => Object(true),
+      () => ({ valueOf: logged('valueOf', 6), toString: logged('toString', '7') }),
+      () => ({ valueOf: logged('valueOf', {}), toString: logged('toString', '8') }),
+      () => ({ valueOf: logged('valueOf', 9n) }),
+      () => ({ toString: logged('toString', {}), valueOf: logged('valueOf', {}) }),
+      () => ({ [Symbol.toPrimitive]: logged('toPrimitive', 10) }),
+      () => ({ [Symbol.toPrimitive]: logged('toPrimitive', {}) }),
+      () => ({ [Symbol.toPrimitive]: 11 }),
+      () => ({ [Symbol.toPrimitive]: null, valueOf: logged('valueOf', '12') }),
+      () => ({ [Symbol.toPrimitive](hint) {
+        log.push(`this is operand: ${this.isOperand}`);
+        return hint;
+      }, isOperand: true }),
+    ];
+  }
+
+  function outcome(fn, log) {
+    try {
+      return { result: fn(), log };
+    } catch (error) {
+      return { error: error.constructor, log };
+    }
+  }
+
+  function expectSame(native, shimmed, description) {
+    if ('error' in native) {
+      expect(shimmed.error).withContext(description).toBe(native.error);
+    } else {
+      expect(shimmed.error).withContext(description).toBeUndefined();
+      expect(Object.is(shimmed.result, native.result))
+          .withContext(`${description}: ${String(shimmed.result)} vs ${String(native.result)}`)
+          .toBe(true);
+    }
+    expect(shimmed.log).withContext(description).toEqual(native.log);
+  }
+
+  const binary = {};
+  for (const operator of ['+', '-', '*', '/', '%', '**', '&', '^', '|', '<<', '>>',
+                          '>>>', '==', '!=', '<', '>', '<=', '>=']) {
+    binary[operator] = new Function('a', 'b', `return a ${operator} b;`);
+  }
+  const unary = {
+    pos: a => +a,
+    neg: a => -a,
+    '~': a => ~a,
+    '++': a => ++a,
+    '--': a => --a,
+  };
+  const count = operandKinds([]).length;
+
+  it('binary operators', () => {
+    for (const [operator, native] of Object.entries(binary)) {
+      for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+          const evaluate = fn => {
+            const log = [];
+            const kinds = operandKinds(log);
+            return outcome(() => fn(kinds[i](), kinds[j]()), log);
+          };
+          expectSame(
+              evaluate(native),
+              evaluate((a, b) => shim._binary(operator, a, b, operators)),
+              `operands ${i} ${operator} ${j}`);
+        }
+      }
+    }
+  });
+
+  it('pass hints when converting operands of overloaded operators', () => {
+    const hints = [];
+    const Ops = shim.Operators({}, { right: Number,
+      '+'(a, b) { return b; },
+      '=='(a, b) { return b; },
+      '<'(a, b) { return b; },
+    });
+    const ops = shim._withOperatorsFrom(shim._declareOperators(), Ops);
+    const object = { [Symbol.toPrimitive](hint) { hints.push(hint); return 1; } };
+    expect(shim._binary('+', new Ops, object, ops)).toBe(1);
+    expect(shim._binary('==', new Ops, object, ops)).toBe(1);
+    expect(shim._binary('<', new Ops, object, ops)).toBe(1);
+    expect(shim._binary('>=', new Ops, object, ops)).toBe(false);
+    expect(hints).toEqual(['default', 'default', 'number', 'number']);
+  });
+
+  it('unary operators', () => {
+    for (const [operator, native] of Object.entries(unary)) {
+      for (let i = 0; i < count; i++) {
+        const evaluate = fn => {
+          const log = [];
+          return outcome(() => fn(operandKinds(log)[i]()), log);
+        };
+        expectSame(
+            evaluate(native),
+            evaluate(a => shim._unary(operator, a, operators)),
+            `${operator} operand ${i}`);
+      }
+    }
+  });
+});
+
 describe('simple overloading', () => {
 
   const Ops = shim.Operators({
@@ -130,15 +267,17 @@ describe('simple overloading', () => {
 
   it('+ throws when not in operator set', () => {
     const operators = shim._declareOperators();
-    expect(() => shim._binary("+", vec, vec, operators)).toThrowError(TypeError);
+    expect(() => shim._binary("+", vec, vec, operators)).toThrowError(
+        TypeError, /declaration missing .* in evaluating \+ on Vector$/);
   });
 
   it('+ is permitted among vectors, banned in interoperation', () => {
-    const operators = shim._declareOperators();
-    shim._withOperatorsFrom(operators, Vector);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), Vector);
     expect(shim._binary("+", vec, vec, operators).contents[2]).toBe(6);
-    expect(() => shim._binary("+", vec, 1, operators)).toThrowError(TypeError);
-    expect(() => shim._binary("+", 1, vec, operators)).toThrowError(TypeError);
+    expect(() => shim._binary("+", vec, 1, operators)).toThrowError(
+        TypeError, "No overload found for + (Vector, number)");
+    expect(() => shim._binary("+", 1, vec, operators)).toThrowError(
+        TypeError, "No overload found for + (number, Vector)");
     expect(shim._binary("+", 1, 1, operators)).toBe(2);
   });
 });
@@ -163,11 +302,13 @@ describe('overloading on the right', () => {
   });
 
   it('Number*Vector is permitted, other combinations banned', () => {
-    const operators = shim._declareOperators();
-    shim._withOperatorsFrom(operators, Vector);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), Vector);
     expect(shim._binary('*', 2, vec, operators).contents[2]).toBe(6);
-    expect(() => shim._binary('*', vec, vec, operators)).toThrowError(TypeError);
+    expect(() => shim._binary('*', vec, vec, operators)).toThrowError(
+        TypeError, "No overload found for * (Vector, Vector)");
     expect(() => shim._binary('*', vec, 2, operators)).toThrowError(TypeError);
+    expect(() => shim._unary('neg', vec, operators)).toThrowError(
+        TypeError, "No overload found for neg (Vector)");
     expect(shim._binary('*', 2, 2, operators)).toBe(4);
   });
 });
@@ -192,8 +333,7 @@ describe('overloading on the left', () => {
   });
 
   it('Number*Vector is permitted, other combinations banned', () => {
-    const operators = shim._declareOperators();
-    shim._withOperatorsFrom(operators, Vector);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), Vector);
     expect(() => shim._binary('*', 2, vec, operators)).toThrowError(TypeError);
     expect(() => shim._binary('*', vec, vec, operators)).toThrowError(TypeError);
     expect(shim._binary('*', vec, 2, operators).contents[2]).toBe(6);
@@ -201,6 +341,392 @@ describe('overloading on the left', () => {
   });
 });
 
+describe('dedicated comparison operators', () => {
+  // Intervals are only partially ordered: overlapping intervals are
+  // neither < nor >=
+  const Ops = shim.Operators({
+    '<'(a, b) { return a.hi < b.lo; },
+    '<='(a, b) { return a.hi <= b.lo; },
+    '>'(a, b) { return a.lo > b.hi; },
+    '>='(a, b) { return a.lo >= b.hi; },
+    '=='(a, b) { return a.lo === b.lo && a.hi === b.hi; },
+  }, { right: Number,
+    '<'(a, b) { return a.hi < b; },
+    '>='(a, b) { return a.lo >= b; },
+  });
+
+  class Interval extends Ops {
+    constructor(lo, hi) { super(); this.lo = lo; this.hi = hi; }
+  }
+
+  const operators = shim._withOperatorsFrom(shim._declareOperators(), Interval);
+
+  it('take precedence over deriving from <', () => {
+    const a = new Interval(1, 3);
+    const b = new Interval(2, 4);
+    const c = new Interval(5, 6);
+    expect(shim._binary('<', a, b, operators)).toBe(false);
+    expect(shim._binary('>=', a, b, operators)).toBe(false);
+    expect(shim._binary('>', a, b, operators)).toBe(false);
+    expect(shim._binary('<=', a, b, operators)).toBe(false);
+    expect(shim._binary('<', a, c, operators)).toBe(true);
+    expect(shim._binary('<=', a, c, operators)).toBe(true);
+    expect(shim._binary('>', c, a, operators)).toBe(true);
+    expect(shim._binary('>=', c, a, operators)).toBe(true);
+  });
+
+  it('fall back to deriving from < and ==', () => {
+    const a = new Interval(1, 3);
+    expect(shim._binary('<', a, 5, operators)).toBe(true);
+    expect(shim._binary('>=', a, 0, operators)).toBe(true);
+    // Derived as !(a < 2)
+    expect(shim._binary('>=', a, 2, operators)).toBe(false);
+    // Derived as 2 < a, for which there is no definition
+    expect(() => shim._binary('>', a, 2, operators)).toThrowError(TypeError);
+    expect(shim._binary('!=', a, new Interval(1, 3), operators)).toBe(false);
+    expect(shim._binary('!=', a, new Interval(1, 2), operators)).toBe(true);
+  });
+
+  it('include !=', () => {
+    // NaN-like values are unequal to everything, including themselves
+    const NaNOps = shim.Operators({
+      '=='(a, b) { return false; },
+      '!='(a, b) { return true; },
+    });
+    const ops = shim._withOperatorsFrom(shim._declareOperators(), NaNOps);
+    const a = new NaNOps;
+    const b = new NaNOps;
+    expect(shim._binary('==', a, b, ops)).toBe(false);
+    expect(shim._binary('!=', a, b, ops)).toBe(true);
+  });
+});
+
+describe('== without a definition', () => {
+  const Ops = shim.Operators({
+    '+'(a, b) { return new Money(a.cents + b.cents); },
+  });
+
+  class Money extends Ops {
+    constructor(cents) { super(); this.cents = cents; }
+  }
+
+  const operators = shim._withOperatorsFrom(shim._declareOperators(), Money);
+
+  it('is true for identical operands and false otherwise', () => {
+    const a = new Money(1);
+    expect(shim._binary('==', a, a, operators)).toBe(true);
+    expect(shim._binary('!=', a, a, operators)).toBe(false);
+    expect(shim._binary('==', a, new Money(1), operators)).toBe(false);
+    expect(shim._binary('!=', a, new Money(1), operators)).toBe(true);
+    for (const other of [1, 1n, '1', true, null, undefined, Symbol.iterator, {}, [1]]) {
+      expect(shim._binary('==', a, other, operators)).toBe(false);
+      expect(shim._binary('==', other, a, operators)).toBe(false);
+      expect(shim._binary('!=', a, other, operators)).toBe(true);
+    }
+  });
+
+  it('lets generic code search for values', () => {
+    const a = new Money(1);
+    const list = [new Money(2), 'a', null, a];
+    const indexOf = value => {
+      for (let i = 0; i < list.length; i++) {
+        if (shim._binary('==', list[i], value, operators)) return i;
+      }
+      return -1;
+    };
+    expect(indexOf(a)).toBe(3);
+    expect(indexOf(new Money(1))).toBe(-1);
+    expect(indexOf('a')).toBe(1);
+    expect(indexOf(undefined)).toBe(2);
+  });
+
+  it('still requires a with operators from declaration', () => {
+    const a = new Money(1);
+    expect(() => shim._binary('==', a, a, shim._declareOperators()))
+        .toThrowError(TypeError, /declaration missing/);
+  });
+
+  it('is bypassed by a definition for identical operands', () => {
+    const NaNOps = shim.Operators({ '=='(a, b) { return false; } });
+    const ops = shim._withOperatorsFrom(shim._declareOperators(), NaNOps);
+    const a = new NaNOps;
+    expect(shim._binary('==', a, a, ops)).toBe(true);
+    expect(shim._binary('==', a, new NaNOps, ops)).toBe(false);
+  });
+});
+
+describe('interoperation with String', () => {
+  const escape = string => string.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+  const Ops = shim.Operators({
+    '+'(a, b) { return new SafeHTML(a.html + b.html); },
+    '=='(a, b) { return a.html === b.html; },
+  }, { right: String,
+    '+'(a, b) { return new SafeHTML(a.html + escape(b)); },
+    '=='(a, b) { return a.html === b; },
+    '<'(a, b) { return a.html < b; },
+  }, { left: String,
+    '+'(a, b) { return new SafeHTML(escape(a) + b.html); },
+    '=='(a, b) { return a === b.html; },
+    '<'(a, b) { return a < b.html; },
+  });
+
+  class SafeHTML extends Ops {
+    constructor(html) { super(); this.html = html; }
+    toString() { return this.html; }
+  }
+
+  const operators = shim._withOperatorsFrom(shim._declareOperators(), SafeHTML);
+  const html = new SafeHTML('<p>');
+
+  it('uses + definitions with strings', () => {
+    expect(shim._binary('+', html, '<script>', operators).html).toBe('<p>&#60;script&#62;');
+    expect(shim._binary('+', '"a" & b', html, operators).html).toBe('&#34;a&#34; &#38; b<p>');
+    expect(shim._binary('+', html, html, operators).html).toBe('<p><p>');
+  });
+
+  it('uses comparison definitions with strings', () => {
+    expect(shim._binary('==', html, '<p>', operators)).toBe(true);
+    expect(shim._binary('==', '<p>', html, operators)).toBe(true);
+    expect(shim._binary('!=', html, '<b>', operators)).toBe(true);
+    expect(shim._binary('<', html, '<q>', operators)).toBe(true);
+    expect(shim._binary('<', '<a>', html, operators)).toBe(true);
+    // Derived from the String < SafeHTML definition
+    expect(shim._binary('>', html, '<a>', operators)).toBe(true);
+    expect(shim._binary('>=', html, '<q>', operators)).toBe(false);
+  });
+
+  it('concatenates strings with types not defining +', () => {
+    const Plain = shim.Operators({ '-'(a, b) { return 0; } });
+    const ops = shim._withOperatorsFrom(shim._declareOperators(), Plain);
+    const plain = new Plain;
+    plain.toString = () => 'plain';
+    expect(shim._binary('+', plain, '!', ops)).toBe('plain!');
+    expect(shim._binary('+', '!', plain, ops)).toBe('!plain');
+  });
+
+  it('only allows + and comparison operators', () => {
+    expect(() => shim.Operators({}, { right: String, '*'(a, b) { return a; } }))
+        .toThrowError(TypeError, /the operator \* may not be overloaded/);
+  });
+});
+
+describe('reflection', () => {
+  const ScalarOps = shim.Operators({
+    '+'(a, b) { return a; },
+    '<'(a, b) { return false; },
+    'neg'(a) { return a; },
+    open: ['*'],
+  }, { right: Number,
+    '*'(a, b) { return a; },
+  });
+  class Scalar extends ScalarOps { }
+
+  const VectorOps = shim.Operators({
+    '=='(a, b) { return true; },
+  }, { left: Scalar,
+    '*'(a, b) { return b; },
+  }, { left: Number,
+    '*'(a, b) { return b; },
+    '<'(a, b) { return true; },
+  });
+  class Vector extends VectorOps { }
+
+  const Floats = shim.Operators({ elements: Float64Array });
+  class FloatVector extends Floats { }
+
+  it('describes operator sets', () => {
+    const description = shim.Operators.describe(Scalar);
+    expect(description).toEqual({
+      operators: ['+', '<', 'neg'],
+      left: [],
+      right: [{ type: Number, operators: ['*'] }],
+      open: ['*'],
+      elements: undefined,
+    });
+    expect(Object.isFrozen(description)).toBe(true);
+    expect(Object.isFrozen(description.operators)).toBe(true);
+    expect(Object.isFrozen(description.right)).toBe(true);
+    expect(Object.isFrozen(description.right[0])).toBe(true);
+    expect(shim.Operators.describe(Scalar)).toBe(description);
+
+    expect(shim.Operators.describe(Vector)).toEqual({
+      operators: ['=='],
+      left: [{ type: Number, operators: ['*', '<'] }, { type: Scalar, operators: ['*'] }],
+      right: [],
+      open: [],
+      elements: undefined,
+    });
+    expect(shim.Operators.describe(FloatVector).elements).toBe(Float64Array);
+    expect(shim.Operators.describe(Number).operators).toContain('*');
+  });
+
+  it('describes String with the operators it has open', () => {
+    const stringOperators = ['+', '==', '<', '!=', '>', '<=', '>='];
+    expect(shim.Operators.describe(String)).toEqual(jasmine.objectContaining({
+      left: [
+        { type: Number, operators: stringOperators },
+        { type: BigInt, operators: stringOperators },
+      ],
+      right: [
+        { type: Number, operators: stringOperators },
+        { type: BigInt, operators: stringOperators },
+      ],
+      open: stringOperators,
+    }));
+    expect(shim.Operators.has(String, '-', Number)).toBe(false);
+    expect(shim.Operators.has(String, '+', BigInt)).toBe(true);
+  });
+
+  it('rejects classes without overloaded operators', () => {
+    expect(() => shim.Operators.describe(Date)).toThrowError(TypeError);
+    expect(() => shim.Operators.describe(undefined)).toThrowError(TypeError);
+  });
+
+  it('reports whether operators apply', () => {
+    const has = shim.Operators.has;
+    expect(has(Scalar, '+')).toBe(true);
+    expect(has(Scalar, '-')).toBe(false);
+    expect(has(Scalar, 'neg')).toBe(true);
+    expect(has(Scalar, '>=')).toBe(true);
+    expect(has(Scalar, '!=')).toBe(false);
+    expect(has(Scalar, '*', Number)).toBe(true);
+    expect(has(Number, '*', Scalar)).toBe(false);
+    expect(has(Scalar, '*', Vector)).toBe(true);
+    expect(has(Vector, '*', Scalar)).toBe(false);
+    expect(has(Vector, '!=')).toBe(true);
+    // Derived from Number < Vector
+    expect(has(Vector, '>', Number)).toBe(true);
+    expect(has(Vector, '<', Number)).toBe(false);
+    expect(has(Number, '<=', Vector)).toBe(false);
+    expect(has(Vector, '>=', Number)).toBe(false);
+    expect(has(FloatVector, '[]')).toBe(true);
+    expect(has(Scalar, '[]')).toBe(false);
+    expect(has(Date, '+')).toBe(false);
+    expect(() => has(Scalar, '!')).toThrowError(TypeError, /Unrecognized operator/);
+  });
+
+  it('agrees with dispatch', () => {
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), Scalar, Vector);
+    const values = [[Number, 1], [Scalar, new Scalar], [Vector, new Vector]];
+    for (const operator of ['+', '*', '<', '>', '<=', '>=']) {
+      for (const [aType, a] of values) {
+        for (const [bType, b] of values) {
+          if (aType === Number && bType === Number) continue;
+          let applies = true;
+          try {
+            shim._binary(operator, a, b, operators);
+          } catch (e) {
+            applies = false;
+          }
+          expect(shim.Operators.has(aType, operator, bType))
+              .withContext(`${aType.name} ${operator} ${bType.name}`).toBe(applies);
+        }
+      }
+    }
+  });
+});
+
+describe('operator scopes', () => {
+  const A = shim.Operators({ '+'(a, b) { return 'A'; } });
+  const B = shim.Operators({ '+'(a, b) { return 'B'; } });
+  const C = shim.Operators.extend(B, { '+'(a, b) { return 'C'; } });
+
+  it('enable the operators of their classes', () => {
+    const scope = shim.Operators.scope(A, B);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), scope);
+    expect(shim._binary('+', new A, new A, operators)).toBe('A');
+    expect(shim._binary('+', new B, new B, operators)).toBe('B');
+    expect(() => shim._binary('+', new C, new C, operators))
+      .toThrowError(TypeError, /`with operators from` declaration missing/);
+  });
+
+  it('may include other scopes, and base classes', () => {
+    const scope = shim.Operators.scope(shim.Operators.scope(A), C);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), scope);
+    expect(shim._binary('+', new A, new A, operators)).toBe('A');
+    expect(shim._binary('+', new B, new B, operators)).toBe('B');
+    expect(shim._binary('+', new C, new C, operators)).toBe('C');
+  });
+
+  it('are not changed by blocks using them', () => {
+    const scope = shim.Operators.scope(A);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), scope, B);
+    const other = shim._withOperatorsFrom(shim._declareOperators(), scope);
+    expect(() => shim._binary('+', new B, new B, other)).toThrowError(TypeError);
+    expect(Object.isFrozen(scope)).toBe(true);
+  });
+
+  it('must be made of classes with overloaded operators and scopes', () => {
+    for (const entry of [class { }, {}, undefined, 1]) {
+      expect(() => shim.Operators.scope(entry)).toThrowError(TypeError,
+          'with operator from must be invoked with a class with overloaded operators or an operator scope');
+      expect(() => shim._withOperatorsFrom(shim._declareOperators(), entry))
+        .toThrowError(TypeError);
+    }
+  });
+});
+
+describe('enabled operator sets', () => {
+  const A = shim.Operators({ '+'(a, b) { return 'A'; } });
+  const B = shim.Operators({ '+'(a, b) { return 'B'; } });
+
+  it('are not changed by later declarations', () => {
+    const before = shim._declareOperators();
+    const after = shim._withOperatorsFrom(before, A);
+    expect(after).not.toBe(before);
+    expect(shim._binary('+', new A, new A, after)).toBe('A');
+    expect(() => shim._binary('+', new A, new A, before)).toThrowError(TypeError);
+    expect(Object.isFrozen(after)).toBe(true);
+  });
+
+  it('are inherited by inner blocks', () => {
+    const outer = shim._withOperatorsFrom(shim._declareOperators(), A);
+    const inner = shim._withOperatorsFrom(shim._declareOperators(outer), B);
+    expect(shim._declareOperators(outer)).toBe(outer);
+    expect(shim._binary('+', new A, new A, inner)).toBe('A');
+    expect(shim._binary('+', new B, new B, inner)).toBe('B');
+    expect(() => shim._binary('+', new B, new B, outer)).toThrowError(TypeError);
+  });
+
+  it('keep their identity when nothing is added', () => {
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), A, B);
+    expect(shim._withOperatorsFrom(operators, A)).toBe(operators);
+    expect(shim._withOperatorsFrom(operators, shim.Operators.scope(B))).toBe(operators);
+    expect(shim._withOperatorsFrom(operators)).toBe(operators);
+  });
+
+  it('are the same each time a declaration runs', () => {
+    const outer = shim._declareOperators();
+    const operators = shim._withOperatorsFrom(outer, A, shim.Operators.scope(B));
+    expect(shim._withOperatorsFrom(outer, A)).toBe(shim._withOperatorsFrom(outer, A));
+    const cache = {};
+    for (let i = 0; i < 3; i++) {
+      const entered = shim._withOperatorsFrom(shim._declareOperators(outer), A);
+      expect(shim._binary('+', new A, new A, entered, cache)).toBe('A');
+      expect(cache.operators).toBe(entered);
+    }
+    expect(shim._binary('+', new B, new B, operators)).toBe('B');
+  });
+
+  it('hold any number of types', () => {
+    const types = Array.from({length: 70}, (_, i) =>
+      shim.Operators({ 'neg'(a) { return i; } }));
+    const odd = types.filter((_, i) => i % 2 === 1);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), ...odd);
+    types.forEach((Type, i) => {
+      if (i % 2 === 1) {
+        expect(shim._unary('neg', new Type, operators)).toBe(i);
+      } else {
+        expect(() => shim._unary('neg', new Type, operators)).toThrowError(TypeError);
+      }
+    });
+    expect(shim._binary('+', 1, 2, operators)).toBe(3);
+    expect(shim._binary('+', 1n, 2n, operators)).toBe(3n);
+    expect(shim._binary('+', 'a', 'b', operators)).toBe('ab');
+  });
+});
+
 describe('[] overloading', () => {
   const Ops = shim.Operators({
     '[]'(a, b) {
@@ -282,15 +808,159 @@ describe('[] overloading', () => {
 
   it('defineOwnProperty and getOwnProperty work', () => {
     const vec = new Vector([1, 2, 3]);
-    Object.defineProperty(vec, "3", { value: 5, writable: true, enumerable: true, configurable: false });
-    expect(Object.getOwnPropertyDescriptor(vec, "3")).toEqual({ value: 5, writable: true, enumerable: true, configurable: false });
+    Object.defineProperty(vec, "3", { value: 5, writable: true, enumerable: true, configurable: true });
+    expect(Object.getOwnPropertyDescriptor(vec, "3")).toEqual({ value: 5, writable: true, enumerable: true, configurable: true });
     Object.defineProperty(vec, "foobar", { value: 5, writable: false, enumerable: false, configurable: false });
     expect(Object.getOwnPropertyDescriptor(vec, "foobar")).toEqual({ value: 5, writable: false, enumerable: false, configurable: false });
     expect(() => Object.defineProperty(vec, "2", { writable: false, enumerable: true, configurable: false, value: 1 })).toThrowError(TypeError);
     expect(() => Object.defineProperty(vec, "2", { writable: true, enumerable: false, configurable: false, value: 1 })).toThrowError(TypeError);
-    expect(() => Object.defineProperty(vec, "2", { writable: true, enumerable: true, configurable: true, value: 1 })).toThrowError(TypeError);
-    Object.defineProperty(vec, "2", { writable: true, enumerable: true, configurable: false, value: 1 })
+    expect(() => Object.defineProperty(vec, "2", { writable: true, enumerable: true, configurable: false, value: 1 })).toThrowError(TypeError);
+    expect(() => Object.defineProperty(vec, "2", { get() { return 1; } })).toThrowError(TypeError);
+    Object.defineProperty(vec, "2", { writable: true, enumerable: true, configurable: true, value: 1 })
     expect(vec[2]).toBe(1);
+    Object.defineProperty(vec, "1", { value: 7 })
+    expect(vec[1]).toBe(7);
+  });
+
+  it('elements which [] returns undefined for have descriptors', () => {
+    const vec = new Vector([1, undefined, 3]);
+    expect(1 in vec).toBe(true);
+    expect(Object.getOwnPropertyDescriptor(vec, 1)).toEqual({ value: undefined, writable: true, enumerable: true, configurable: true });
+    expect(Object.keys(vec)).toEqual(["0", "1", "2", "contents"]);
+    expect(Object.getOwnPropertyDescriptor(vec, 3)).toBe(undefined);
+  });
+
+  it('keys and descriptors of elements can be read', () => {
+    const vec = new Vector([]);
+    expect(Object.keys(vec)).toEqual(["contents"]);
+    expect(Object.getOwnPropertyDescriptor(vec, "0")).toBe(undefined);
+    expect({...vec}).toEqual({contents: []});
+    vec[0] = 1;
+    vec[1] = 2;
+    expect(Object.keys(vec)).toEqual(["0", "1", "contents"]);
+    expect(Object.getOwnPropertyDescriptor(vec, "0")).toEqual({ value: 1, writable: true, enumerable: true, configurable: true });
+    expect({...vec}).toEqual({0: 1, 1: 2, contents: [1, 2]});
+  });
+});
+
+describe('inline caches', () => {
+  let calls = 0;
+  let left;
+  const Ops = shim.Operators({
+    '*'(a, b) { calls++; return new Num(a.n * b.n); },
+    '<'(a, b) { return a.n < b.n; },
+    'neg'(a) { return new Num(-a.n); },
+  }, { left: Number,
+    '*'(a, b) { left = a; return new Num(a * b.n); },
+  });
+
+  class Num extends Ops {
+    constructor(n) { super(); this.n = n; }
+  }
+
+  const OtherOps = shim.Operators({
+    '*'(a, b) { return 'other'; },
+  });
+
+  class Other extends OtherOps { }
+
+  const operators = shim._withOperatorsFrom(shim._declareOperators(), Num, Other);
+
+  it('call the cached definition for the same operator sets', () => {
+    const cache = {};
+    calls = 0;
+    expect(shim._binary('*', new Num(2), new Num(3), operators, cache).n).toBe(6);
+    expect(cache.fn).toBeDefined();
+    expect(shim._binary('*', new Num(4), new Num(3), operators, cache).n).toBe(12);
+    expect(calls).toBe(2);
+  });
+
+  it('miss for other operand types', () => {
+    const cache = {};
+    expect(shim._binary('*', new Num(2), new Num(3), operators, cache).n).toBe(6);
+    expect(shim._binary('*', 2, new Num(3), operators, cache).n).toBe(6);
+    expect(shim._binary('*', 2, 3, operators, cache)).toBe(6);
+    expect(shim._binary('*', '2', new Num(3), operators, cache).n).toBe(6);
+    expect(shim._binary('*', new Other, new Other, operators, cache)).toBe('other');
+    expect(() => shim._binary('*', new Num(2), new Other, operators, cache))
+        .toThrowError(TypeError, 'No overload found for * (Num, Other)');
+  });
+
+  it('miss for wrappers of cached numeric primitives', () => {
+    const cache = {};
+    expect(shim._binary('*', 2, new Num(3), operators, cache).n).toBe(6);
+    expect(shim._binary('*', Object(4), new Num(3), operators, cache).n).toBe(12);
+    expect(left).toBe(4);
+  });
+
+  it('miss for other operators in scope', () => {
+    const cache = {};
+    expect(shim._binary('*', new Num(2), new Num(3), operators, cache).n).toBe(6);
+    expect(() => shim._binary('*', new Num(2), new Num(3), shim._declareOperators(), cache))
+        .toThrowError(TypeError, /declaration missing/);
+    const unaryCache = {};
+    expect(shim._unary('neg', new Num(2), operators, unaryCache).n).toBe(-2);
+    expect(() => shim._unary('neg', new Num(2), shim._declareOperators(), unaryCache))
+        .toThrowError(TypeError, /declaration missing/);
+  });
+
+  it('keep derived comparisons', () => {
+    const cache = {};
+    for (const [a, b, result] of [[1, 2, false], [2, 1, true], [2, 2, true]]) {
+      expect(shim._binary('>=', new Num(a), new Num(b), operators, cache)).toBe(result);
+    }
+  });
+});
+
+describe('elements: backing', () => {
+  const Ops = shim.Operators({
+    elements: Float64Array,
+    '+'(a, b) {
+      return Vector.from(Array.from(a, (elt, i) => elt + b[i]));
+    },
+  });
+
+  class Vector extends Ops {
+    static from(contents) {
+      const vec = new Vector(contents.length);
+      contents.forEach((elt, i) => vec[i] = elt);
+      return vec;
+    }
+  }
+
+  it('indexed access goes to the backing TypedArray', () => {
+    'use strict';
+    const vec = Vector.from([1, 2, 3]);
+    expect(vec.length).toBe(3);
+    expect(vec[0]).toBe(1);
+    expect(vec[3]).toBe(undefined);
+    expect(vec[1] = 20).toBe(20);
+    expect(vec[1]).toBe(20);
+    expect(Object.keys(vec)).toEqual(["0", "1", "2"]);
+    expect(3 in vec).toBe(false);
+    expect(Object.getPrototypeOf(vec)).toBe(Vector.prototype);
+  });
+
+  it('operators are overloaded', () => {
+    const vec = Vector.from([1, 2, 3]);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), Vector);
+    expect(Array.from(shim._binary('+', vec, vec, operators))).toEqual([2, 4, 6]);
+  });
+
+  it('can be an Array', () => {
+    const ArrayOps = shim.Operators({ elements: Array });
+    const arr = new ArrayOps(2);
+    arr[0] = "a";
+    arr[2] = "c";
+    expect(arr.length).toBe(3);
+    expect(arr[2]).toBe("c");
+  });
+
+  it('must be an Array or TypedArray constructor', () => {
+    expect(() => shim.Operators({ elements: Object })).toThrowError(TypeError);
+    expect(() => shim.Operators({
+      elements: Array, '[]'(a, b) { return 1; },
+    })).toThrowError(TypeError);
   });
 });
 
@@ -307,8 +977,359 @@ describe("Open set handling", () => {
     });
     const b = new OpsB;
 
-    const operators = shim._declareOperators();
-    shim._withOperatorsFrom(operators, OpsA, OpsB);
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), OpsA, OpsB);
     expect(shim._binary("+", a, b, operators)).toBe(3);
   });
 });
+
+describe('validation', () => {
+  const Ops = shim.Operators({ open: ['+', '*'] });
+
+  it('rejects unknown operator names', () => {
+    expect(() => shim.Operators({ '===': (a, b) => true }))
+      .toThrowError(TypeError, 'Unrecognized operator ===');
+    expect(() => shim.Operators({ add(a, b) { return a; } }))
+      .toThrowError(TypeError, 'Unrecognized operator add');
+    expect(() => shim.Operators({}, { right: Number, 'plus'(a, b) { return a; } }))
+      .toThrowError(TypeError, 'Unrecognized operator plus');
+  });
+
+  it('rejects unknown names among static methods and non-enumerable keys', () => {
+    class Misspelled {
+      static '+'(a, b) { return a; }
+      static plus(a, b) { return a; }
+    }
+    expect(() => shim.Operators(Misspelled))
+      .toThrowError(TypeError, 'Unrecognized operator plus');
+    const hidden = Object.defineProperty({}, 'minus', { value: (a, b) => a });
+    expect(() => shim.Operators({}, Object.assign(hidden, { right: Number })))
+      .toThrowError(TypeError, 'Unrecognized operator minus');
+    expect(() => shim.Operators.extend(Ops, Object.defineProperty({}, 'times', {})))
+      .toThrowError(TypeError, 'Unrecognized operator times');
+    expect(() => shim.Operators({ [Symbol.iterator]() { } })).not.toThrow();
+  });
+
+  it('rejects tables which are not objects', () => {
+    expect(() => shim.Operators(null))
+      .toThrowError(TypeError, 'Operators must be called with an object as argument 1, not null');
+    expect(() => shim.Operators({}, { right: Number }, 'table'))
+      .toThrowError(TypeError, 'Operators must be called with an object as argument 3, not string');
+    expect(() => shim.Operators.extend(Ops, null))
+      .toThrowError(TypeError,
+          'Operators.extend must be called with an object as argument 2, not null');
+    expect(() => shim.Operators.extend(Ops, {}, undefined))
+      .toThrowError(TypeError,
+          'Operators.extend must be called with an object as argument 3, not undefined');
+  });
+
+  it('rejects options in the wrong table', () => {
+    expect(() => shim.Operators({ left: Number }))
+      .toThrowError(TypeError, 'Unrecognized operator left');
+    expect(() => shim.Operators({}, { right: Number, open: ['+'] }))
+      .toThrowError(TypeError, 'Unrecognized operator open');
+  });
+
+  it('rejects non-binary operators in left: and right: tables', () => {
+    expect(() => shim.Operators({}, { right: Number, 'neg'(a) { return a; } }))
+      .toThrowError(TypeError,
+          'the operator neg may not be overloaded in a table with left: or right:');
+    expect(() => shim.Operators({}, { left: Ops, '[]'(a, b) { return a; } }))
+      .toThrowError(TypeError,
+          'the operator [] may not be overloaded in a table with left: or right:');
+  });
+
+  it('reads inherited and non-enumerable definitions', () => {
+    const table = Object.create({ '+'(a, b) { return 'inherited'; } });
+    Object.defineProperty(table, '-', { value: (a, b) => 'non-enumerable' });
+    class Statics {
+      static '*'(a, b) { return 'static'; }
+      static 'neg'(a) { return 'static'; }
+    }
+    class Inherited extends shim.Operators(table) { }
+    class Static extends shim.Operators(Statics, { left: Number, '*': Statics['*'] }) { }
+    const operators = shim._withOperatorsFrom(shim._declareOperators(), Inherited, Static);
+    expect(shim._binary('+', new Inherited, new Inherited, operators)).toBe('inherited');
+    expect(shim._binary('-', new Inherited, new Inherited, operators)).toBe('non-enumerable');
+    expect(shim._binary('*', new Static, new Static, operators)).toBe('static');
+    expect(shim._unary('neg', new Static, operators)).toBe('static');
+    expect(() => shim.Operators({}, Object.assign(Object.create(Statics), { right: Number })))
+      .toThrowError(TypeError,
+          'the operator neg may not be overloaded in a table with left: or right:');
+  });
+
+  it('rejects definitions which are not functions', () => {
+    expect(() => shim.Operators({ '-': 1 }))
+      .toThrowError(TypeError, 'the definition of - must be a function');
+    expect(() => shim.Operators({}, { left: Ops, '*': 'times' }))
+      .toThrowError(TypeError, 'the definition of * must be a function');
+  });
+
+  it('rejects more than one table for the same type', () => {
+    expect(() => shim.Operators({},
+      { left: Ops, '+'(a, b) { return 1; } },
+      { left: Ops, '*'(a, b) { return 2; } },
+    )).toThrowError(TypeError, `more than one table given with left: ${Ops.name}`);
+    expect(() => shim.Operators({},
+      { right: Number, '+'(a, b) { return 1; } },
+      { right: Number, '-'(a, b) { return 2; } },
+    )).toThrowError(TypeError, 'more than one table given with right: Number');
+    expect(() => shim.Operators({},
+      { left: Number, '+'(a, b) { return 1; } },
+      { right: Number, '+'(a, b) { return 2; } },
+    )).not.toThrow();
+  });
+
+  it('rejects non-binary operators in open', () => {
+    expect(() => shim.Operators({ open: ['[]'] }))
+      .toThrowError(TypeError, 'the operator [] may not be open, as it isn\'t binary');
+    expect(() => shim.Operators({ open: ['++'] }))
+      .toThrowError(TypeError, 'the operator ++ may not be open, as it isn\'t binary');
+    expect(() => shim.Operators({ open: ['**'] })).not.toThrow();
+  });
+});
+
+describe('Operators.extend', () => {
+  const DecimalOps = shim.Operators({
+    '+'(a, b) { return new Decimal(a.value + b.value); },
+    '*'(a, b) { return new Decimal(a.value * b.value); },
+    '<'(a, b) { return a.value < b.value; },
+    'neg'(a) { return new Decimal(-a.value); },
+    open: ['+'],
+  }, { right: Number,
+    '*'(a, b) { return new Decimal(a.value * b); },
+  });
+  class Decimal extends DecimalOps {
+    constructor(value) {
+      super();
+      this.value = value;
+    }
+  }
+
+  const MoneyOps = shim.Operators.extend(Decimal, {
+    '+'(a, b) {
+      if (a.currency !== b.currency) throw new RangeError('currency mismatch');
+      return new Money(a.value + b.value, a.currency);
+    },
+  }, { left: Decimal,
+    '+'(a, b) { return new Money(a.value + b.value, b.currency); },
+  });
+  class Money extends MoneyOps {
+    constructor(value, currency) {
+      super(value);
+      this.currency = currency;
+    }
+  }
+
+  const operators = shim._withOperatorsFrom(shim._declareOperators(), Money);
+
+  it('creates subclasses of the base class', () => {
+    const money = new Money(1, 'EUR');
+    expect(money instanceof Decimal).toBe(true);
+    expect(money.value).toBe(1);
+    expect(shim.Operators.has(Money, 'neg')).toBe(true);
+    expect(shim.Operators.describe(Money).open).toEqual(['+']);
+  });
+
+  it('describes the tables it inherits, as Operators.has finds them', () => {
+    const description = shim.Operators.describe(Money);
+    expect(description.left).toEqual([{type: Decimal, operators: ['+']}]);
+    expect(description.right).toEqual([{type: Number, operators: ['*']}]);
+    expect(shim.Operators.has(Money, '*', Number)).toBe(true);
+    expect(shim.Operators.describe(Decimal).left).toEqual([]);
+  });
+
+  it('overrides definitions between instances of the subclass', () => {
+    const sum = shim._binary('+', new Money(1, 'EUR'), new Money(2, 'EUR'), operators);
+    expect(sum instanceof Money).toBe(true);
+    expect(sum.value).toBe(3);
+    expect(() => shim._binary('+', new Money(1, 'EUR'), new Money(2, 'USD'), operators))
+      .toThrowError(RangeError);
+  });
+
+  it('inherits definitions which are not overridden', () => {
+    const product = shim._binary('*', new Money(2, 'EUR'), new Money(3, 'EUR'), operators);
+    expect(product instanceof Money).toBe(false);
+    expect(product.value).toBe(6);
+    expect(shim._binary('*', new Money(2, 'EUR'), 4, operators).value).toBe(8);
+    expect(shim._binary('>', new Money(2, 'EUR'), new Money(1, 'EUR'), operators)).toBe(true);
+    expect(shim._unary('neg', new Money(2, 'EUR'), operators).value).toBe(-2);
+  });
+
+  it('prefers the most derived table for mixed operands', () => {
+    const sum = shim._binary('+', new Decimal(1), new Money(2, 'EUR'), operators);
+    expect(sum instanceof Money).toBe(true);
+    expect(sum.currency).toBe('EUR');
+    // No table for Money on the left of Decimal, so Decimal's own
+    // definition applies
+    const other = shim._binary('+', new Money(2, 'EUR'), new Decimal(1), operators);
+    expect(other instanceof Money).toBe(false);
+    expect(other.value).toBe(3);
+  });
+
+  it('requires opting in to the subclass', () => {
+    const baseOnly = shim._withOperatorsFrom(shim._declareOperators(), Decimal);
+    expect(shim._binary('+', new Decimal(1), new Decimal(2), baseOnly).value).toBe(3);
+    expect(() => shim._binary('+', new Money(1, 'EUR'), new Decimal(2), baseOnly))
+      .toThrowError(TypeError, /`with operators from` declaration missing/);
+  });
+
+  it('keeps [] and elements: from the base class', () => {
+    const IndexedOps = shim.Operators({ '[]'(a, b) { return b * 2; } });
+    const Derived = shim.Operators.extend(IndexedOps, { 'neg'(a) { return 1; } });
+    const derived = new Derived;
+    expect(derived[3]).toBe(6);
+    const indexedOperators = shim._withOperatorsFrom(shim._declareOperators(), Derived);
+    expect(shim._unary('neg', derived, indexedOperators)).toBe(1);
+    expect(() => shim.Operators.extend(IndexedOps, { '[]'(a, b) { return 1; } }))
+      .toThrowError(TypeError, 'the operator [] may not be overloaded with Operators.extend');
+
+    const Elements = shim.Operators.extend(shim.Operators({ elements: Float64Array }));
+    const elements = new Elements(2);
+    elements[0] = 1.5;
+    expect(elements[0]).toBe(1.5);
+    expect(shim.Operators.describe(Elements).elements).toBe(Float64Array);
+  });
+
+  it('does not give operators to objects returned by the base constructor', () => {
+    const existing = new Decimal(1);
+    class Interned extends DecimalOps {
+      constructor() {
+        super();
+        return existing;
+      }
+    }
+    const Derived = shim.Operators.extend(Interned, {
+      '+'(a, b) { return 'derived'; },
+    });
+    expect(new Derived).toBe(existing);
+    expect(shim._binary('+', existing, existing, operators).value).toBe(2);
+  });
+
+  it('must extend a class with operators overloaded', () => {
+    expect(() => shim.Operators.extend(class { }))
+      .toThrowError(TypeError, /must be called with a class with operators overloaded/);
+    expect(() => shim.Operators.extend(Number))
+      .toThrowError(TypeError, /must be called with a class with operators overloaded/);
+  });
+});
+
+describe("decorators", () => {
+  const Operators = shim.Operators;
+
+  function decorate(code, version) {
+    const plugins = version === "2018-09" ? [
+      ["@babel/plugin-proposal-decorators", { version, decoratorsBeforeExport: true }],
+      "@babel/plugin-transform-class-properties",
+    ] : [
+      ["@babel/plugin-proposal-decorators", { version }],
+    ];
+    return babel.transform(code, {
+      configFile: false,
+      babelrc: false,
+      sourceType: "script",
+      plugins,
+    }).code;
+  }
+
+  for (const version of ["2018-09", "2022-03", "2023-05"]) {
+    describe(`with ${version} decorators`, () => {
+      it("define self, left and right operators", () => {
+        let Vector;
+        eval(decorate(`
+          @Operators.overloaded
+          class Vec extends Operators {
+            constructor(contents) { super(); this.contents = contents; }
+
+            @Operators.define("+")
+            add(a, b) {
+              return new Vec(a.contents.map((elt, i) => elt + b.contents[i]));
+            }
+
+            @Operators.define("*", { left: Number })
+            scale(a, b) { return new Vec(b.contents.map(elt => a * elt)); }
+
+            @Operators.define("/", { right: Number })
+            divide(a, b) { return new Vec(a.contents.map(elt => elt / b)); }
+          }
+          Vector = Vec;
+        `, version));
+
+        const vec = new Vector([1, 2, 3]);
+        const operators = shim._withOperatorsFrom(shim._declareOperators(), Vector);
+        expect(shim._binary("+", vec, vec, operators).contents).toEqual([2, 4, 6]);
+        expect(shim._binary("*", 2, vec, operators).contents).toEqual([2, 4, 6]);
+        expect(shim._binary("/", vec, 2, operators).contents).toEqual([.5, 1, 1.5]);
+        expect(() => shim._binary("*", vec, 2, operators)).toThrowError(TypeError);
+        expect(vec.add(vec, vec).contents).toEqual([2, 4, 6]);
+        expect(vec instanceof Vector).toBe(true);
+      });
+
+      it("pass open operators through", () => {
+        let A;
+        eval(decorate(`
+          @Operators.overloaded({ open: ["+"] })
+          class Klass extends Operators {
+            @Operators.define("neg")
+            neg(a) { return 1; }
+          }
+          A = Klass;
+        `, version));
+        const B = Operators({}, { left: A, "+"(a, b) { return 2; } });
+        const operators = shim._withOperatorsFrom(shim._declareOperators(), A, B);
+        expect(shim._unary("neg", new A, operators)).toBe(1);
+        expect(shim._binary("+", new A, new B, operators)).toBe(2);
+      });
+
+      it("throw when no operators are defined", () => {
+        expect(() => eval(decorate(`
+          @Operators.overloaded
+          class Klass extends Operators { }
+        `, version))).toThrowError(TypeError, /No operators overloaded/);
+      });
+
+      it("extend classes with operators overloaded", () => {
+        let Derived;
+        eval(decorate(`
+          @Operators.overloaded
+          class Base extends Operators {
+            @Operators.define("+")
+            add(a, b) { return "base"; }
+          }
+          @Operators.overloaded
+          class Sub extends Base {
+            @Operators.define("-")
+            subtract(a, b) { return "sub"; }
+          }
+          Derived = Sub;
+        `, version));
+        const sub = new Derived;
+        const operators = shim._withOperatorsFrom(shim._declareOperators(), Derived);
+        expect(shim._binary("+", sub, sub, operators)).toBe("base");
+        expect(shim._binary("-", sub, sub, operators)).toBe("sub");
+        expect(sub.add(sub, sub)).toBe("base");
+      });
+
+      it("must decorate classes extending Operators or with operators", () => {
+        for (const heritage of ["", "extends Object", "extends class extends Operators { }"]) {
+          expect(() => eval(decorate(`
+            @Operators.overloaded
+            class Klass ${heritage} {
+              @Operators.define("+")
+              add(a, b) { return a; }
+            }
+          `, version))).toThrowError(TypeError,
+              /must be used on a class extending Operators or a class with operators overloaded/);
+        }
+      });
+
+      it("must decorate methods", () => {
+        expect(() => eval(decorate(`
+          class Klass extends Operators {
+            @Operators.define("+")
+            field;
+          }
+        `, version))).toThrowError(TypeError, /must be used on a method/);
+      });
+    });
+  }
+});
@@ -0,0 +1,202 @@
+import {expectAssignable, expectError, expectType} from 'tsd';
+import {
+  Operators, OverloadedClass, OperatorScope, EnabledOperators,
+  OperatorsDescription, _declareOperators, _withOperatorsFrom, _binary, _unary,
+} from './shim.js';
+
+// Tables referring to the class being defined
+const VectorOperators: OverloadedClass = Operators({
+  '+'(a: Vector, b: Vector) {
+    return new Vector(a.contents.map((x, i) => x + b.contents[i]));
+  },
+  'neg'(a: Vector) {
+    return new Vector(a.contents.map((x) => -x));
+  },
+  '=='(a: Vector, b: Vector) {
+    return a.contents.every((x, i) => x === b.contents[i]);
+  },
+}, {left: Number,
+  '*'(a, b) {
+    expectType<number>(a);
+    expectType<Vector>(b);
+    return new Vector(b.contents.map((x) => a * x));
+  },
+}, {right: BigInt,
+  '*'(a, b) {
+    expectType<Vector>(a);
+    expectType<bigint>(b);
+    return a;
+  },
+});
+
+class Vector extends VectorOperators {
+  constructor(readonly contents: number[]) {
+    super();
+  }
+}
+
+// Tables with another class with overloaded operators
+const ScalarOperators: OverloadedClass = Operators({
+  '+'(a: Scalar, b: Scalar) {
+    return a;
+  },
+}, {right: Vector,
+  '*'(a, b) {
+    expectType<Scalar>(a);
+    expectType<Vector>(b);
+    return b;
+  },
+}, {left: String,
+  '+'(a, b) {
+    expectType<string>(a);
+    return a;
+  },
+  '<'(a, b) {
+    return true;
+  },
+});
+class Scalar extends ScalarOperators { }
+
+// Tables which don't refer to the class can be used directly
+class Plain extends Operators({
+  '+'(a, b) {
+    return 1;
+  },
+}) { }
+new Plain();
+
+// Only operators may be defined, as functions, in the right tables
+expectError(Operators({'===': (a: unknown, b: unknown) => true}));
+expectError(Operators({'+': 1}));
+expectError(Operators({'pos'(a: Vector, b: Vector) { return a; }}));
+expectError(Operators({open: ['neg']}));
+expectError(Operators({}, {left: Number, '[]'(a: number, b: unknown) { }}));
+expectError(Operators({}, {left: Number, 'neg'(a: number) { }}));
+expectError(Operators({}, {'+'(a: number, b: unknown) { }}));
+expectError(Operators({}, {left: Number, right: Number, '+'(a: number, b: number) { }}));
+expectError(Operators({}, {left: {}, '+'(a: unknown, b: unknown) { }}));
+// String only has + and the comparisons open
+expectError(Operators({}, {left: String, '-'(a: string, b: unknown) { }}));
+expectError(Operators({}, {right: String, '*'(a: unknown, b: string) { }}));
+expectError(Operators({'+'(a: Vector, b: Vector) { return a; }},
+    {left: Number, '+'(a: string, b: Vector) { return b; }}));
+expectError(Operators({'+'(a: Vector, b: Vector) { return a; }},
+    {right: Number, '+'(a: Vector, b: string) { return b; }}));
+
+// [] and []= make instances indexable
+const IndexedOperators: OverloadedClass<string> = Operators({
+  '[]'(a: Indexed, index: number) {
+    return a.names[index];
+  },
+  '[]='(a: Indexed, index: number, value) {
+    expectType<string>(value);
+    a.names[index] = value;
+  },
+});
+class Indexed extends IndexedOperators {
+  names = ['a', 'b'];
+}
+expectType<string>(new Indexed()[0]);
+class Numbered extends Operators({
+  '[]'(a, index: number) {
+    return index;
+  },
+}) { }
+expectType<number>(new Numbered()[0]);
+
+// elements: makes instances like its Array or TypedArray
+class Elements extends Operators({elements: Float64Array, open: ['*']}) { }
+expectType<number>(new Elements(3)[0]);
+expectType<number>(new Elements(3).length);
+expectType<number>(new Elements(new ArrayBuffer(16), 8, 1)[0]);
+expectError(new (Operators({elements: Array}))(new ArrayBuffer(16)));
+expectError(Operators({elements: Map}));
+
+// Operators.extend
+class Interval extends Operators({
+  '+'(a, b) {
+    return a;
+  },
+}) {
+  low = 0;
+}
+const ClosedInterval = Operators.extend(Interval, {
+  '-'(a, b) {
+    expectType<Interval>(a);
+    return a;
+  },
+  open: ['+'],
+}, {left: Number,
+  '+'(a, b) {
+    expectType<number>(a);
+    expectType<Interval>(b);
+    return b;
+  },
+});
+expectType<number>(new ClosedInterval().low);
+expectError(Operators.extend(Interval, {'[]'(a: Interval, b: number) { }}));
+expectError(Operators.extend(Interval, {elements: Array}));
+expectError(Operators.extend({}));
+
+// Reflection and scopes
+expectType<OperatorsDescription>(Operators.describe(Vector));
+expectType<boolean>(Operators.has(Vector, '*', Number));
+expectError(Operators.has(Vector, '==='));
+const scope = Operators.scope(Vector, Operators.scope(Scalar));
+expectType<OperatorScope>(scope);
+expectError(Operators.scope({}));
+
+// Decorators, on classes extending Operators
+@Operators.overloaded
+class Decorated extends Operators {
+  @Operators.define('+')
+  add(a: Decorated, b: Decorated) {
+    return a;
+  }
+
+  @Operators.define('*', {left: Number})
+  scale(a: number, b: Decorated) {
+    return b;
+  }
+}
+@Operators.overloaded({open: ['+']})
+class DecoratedOpen extends Operators {
+  @Operators.define('neg')
+  static neg(a: DecoratedOpen) {
+    return a;
+  }
+}
+@Operators.overloaded
+class DecoratedSub extends Decorated {
+  @Operators.define('-')
+  subtract(a: DecoratedSub, b: DecoratedSub) {
+    return a;
+  }
+}
+@Operators.overloaded
+class DecoratedPlain extends Plain {
+  @Operators.define('-')
+  subtract(a: DecoratedPlain, b: DecoratedPlain) {
+    return a;
+  }
+}
+// @ts-expect-error: the class must extend Operators or a class with operators
+@Operators.overloaded
+class Undecorated {
+  @Operators.define('+')
+  add(a: Undecorated, b: Undecorated) {
+    return a;
+  }
+}
+expectError(Operators.define('==='));
+expectError(Operators.define('+', {left: {}}));
+expectError(Operators.overloaded({open: ['pos']}));
+
+// The runtime API called by transformed code
+const operators = _withOperatorsFrom(_declareOperators(), Vector, scope);
+expectAssignable<EnabledOperators>(operators);
+_binary('+', new Vector([1]), new Vector([2]), operators, {});
+_unary('neg', new Vector([1]), _declareOperators(operators));
+expectError(_binary('pos', 1, 2, operators));
+expectError(_unary('+', 1, operators));
+expectError(_withOperatorsFrom(operators, Vector, 1));
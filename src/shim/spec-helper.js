@@ -0,0 +1,16 @@
+// Shared by the specs of the libraries built on the shim, which apply
+// operators as code compiled by the Babel plugin does
+
+const shim = require("./build/shim.js");
+
+// Returns binary and unary, which apply an operator with those of the
+// given classes enabled, as after `with operators from ...classes`
+function withOperatorsFrom(...classes) {
+  const operators = shim._withOperatorsFrom(shim._declareOperators(), ...classes);
+  return {
+    binary: (operator, a, b) => shim._binary(operator, a, b, operators),
+    unary: (operator, a) => shim._unary(operator, a, operators),
+  };
+}
+
+module.exports = {withOperatorsFrom};
@@ -0,0 +1,312 @@
+// Symbolic expressions, built with overloaded operators
+
+// Arithmetic and comparison operators on Exprs, and Numbers mixed with
+// them, build expression trees rather than computing values: with x a
+// variable, x * 2 + 1 is an Expr, which can be simplified, evaluated
+// for values of its variables, differentiated and printed.
+
+import {Operators} from './shim.js';
+
+// The values of operators, for evaluation
+const arithmetic = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  'neg': (a) => -a,
+  'exp': Math.exp,
+  'log': Math.log,
+  'sin': Math.sin,
+  'cos': Math.cos,
+};
+
+const relations = {
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const functions = new Set(['exp', 'log', 'sin', 'cos']);
+
+// Precedence for printing, as in JavaScript
+const precedence = {
+  '==': 1, '!=': 1,
+  '<': 2, '>': 2, '<=': 2, '>=': 2,
+  '+': 3, '-': 3,
+  '*': 4, '/': 4, '%': 4,
+  'neg': 5,
+  '**': 6,
+};
+const atomPrecedence = 7;
+
+function toExpr(value) {
+  if (value instanceof Expr) return value;
+  if (typeof value === 'number') return constant(value);
+  throw new TypeError(`Can't convert ${typeof value} to an Expr`);
+}
+
+function operation(operator, ...operands) {
+  return new Expr({kind: 'operation', operator, operands: operands.map(toExpr)});
+}
+
+function binaryDefinitions() {
+  const table = {};
+  for (const operator of [...Object.keys(relations), '+', '-', '*', '/', '%', '**']) {
+    table[operator] = (a, b) => operation(operator, a, b);
+  }
+  return table;
+}
+
+const ExprOperators = Operators({
+  ...binaryDefinitions(),
+  'neg'(a) { return operation('neg', a); },
+  'pos'(a) { return a; },
+}, { right: Number,
+  ...binaryDefinitions(),
+}, { left: Number,
+  ...binaryDefinitions(),
+});
+
+function isConstant(expr, value) {
+  return expr.kind === 'constant' && (value === undefined || expr.value === value);
+}
+
+function simplifyOperation(operator, operands) {
+  // Functions stay symbolic, as in log(2), rather than being rounded
+  if (operator in arithmetic && !functions.has(operator) &&
+      operands.every((operand) => isConstant(operand))) {
+    return constant(arithmetic[operator](...operands.map(({value}) => value)));
+  }
+  const [a, b] = operands;
+  switch (operator) {
+    case 'neg':
+      if (a.kind === 'operation' && a.operator === 'neg') return a.operands[0];
+      break;
+    case '+':
+      if (isConstant(a, 0)) return b;
+      if (isConstant(b, 0)) return a;
+      if (b.kind === 'operation' && b.operator === 'neg') {
+        return simplifyOperation('-', [a, b.operands[0]]);
+      }
+      break;
+    case '-':
+      if (isConstant(b, 0)) return a;
+      if (isConstant(a, 0)) return simplifyOperation('neg', [b]);
+      if (a.equals(b)) return constant(0);
+      break;
+    case '*':
+      if (isConstant(a, 0) || isConstant(b, 0)) return constant(0);
+      if (isConstant(a, 1)) return b;
+      if (isConstant(b, 1)) return a;
+      if (isConstant(a, -1)) return simplifyOperation('neg', [b]);
+      // Constants go first, as in 2 * x
+      if (isConstant(b)) return simplifyOperation('*', [b, a]);
+      break;
+    case '/':
+      if (isConstant(b, 1)) return a;
+      if (isConstant(a, 0)) return constant(0);
+      if (a.equals(b)) return constant(1);
+      break;
+    case '**':
+      if (isConstant(b, 0) || isConstant(a, 1)) return constant(1);
+      if (isConstant(b, 1)) return a;
+      break;
+  }
+  return operation(operator, ...operands);
+}
+
+function derivative(expr, name) {
+  switch (expr.kind) {
+    case 'constant':
+      return constant(0);
+    case 'variable':
+      return constant(expr.name === name ? 1 : 0);
+  }
+  const [u, v] = expr.operands;
+  const du = () => derivative(u, name);
+  const dv = () => derivative(v, name);
+  switch (expr.operator) {
+    case 'neg':
+      return operation('neg', du());
+    case '+':
+    case '-':
+      return operation(expr.operator, du(), dv());
+    case '*':
+      return operation('+', operation('*', du(), v), operation('*', u, dv()));
+    case '/':
+      return operation('/',
+          operation('-', operation('*', du(), v), operation('*', u, dv())),
+          operation('**', v, 2));
+    case '**':
+      if (!v.variables().has(name)) {
+        const power = operation('**', u, operation('-', v, 1));
+        return operation('*', operation('*', v, power), du());
+      }
+      // d(u ** v) = u ** v * (v' * log(u) + v * u' / u)
+      return operation('*', expr, operation('+',
+          operation('*', dv(), operation('log', u)),
+          operation('/', operation('*', v, du()), u)));
+    case 'exp':
+      return operation('*', expr, du());
+    case 'log':
+      return operation('/', du(), u);
+    case 'sin':
+      return operation('*', operation('cos', u), du());
+    case 'cos':
+      return operation('*', operation('neg', operation('sin', u)), du());
+    default:
+      throw new TypeError(`Can't differentiate ${expr.operator}`);
+  }
+}
+
+function exprPrecedence(expr) {
+  if (expr.kind === 'operation') {
+    return functions.has(expr.operator) ? atomPrecedence : precedence[expr.operator];
+  }
+  // Negative constants print like negations
+  if (expr.kind === 'constant' && Object.is(Math.sign(expr.value), -1)) {
+    return precedence.neg;
+  }
+  return atomPrecedence;
+}
+
+// Prints expr, in parentheses if its precedence is below minimum
+function print(expr, minimum) {
+  const string = expr.toString();
+  return exprPrecedence(expr) < minimum ? `(${string})` : string;
+}
+
+export class Expr extends ExprOperators {
+  // Use variable(), constant() and the operators to make Exprs
+  constructor({kind, value, name, operator, operands}) {
+    super();
+    this.kind = kind;
+    switch (kind) {
+      case 'constant':
+        this.value = value;
+        break;
+      case 'variable':
+        this.name = name;
+        break;
+      case 'operation':
+        this.operator = operator;
+        this.operands = operands;
+        break;
+      default:
+        throw new TypeError(`Unrecognized kind of Expr ${kind}`);
+    }
+  }
+
+  // Structural equality, as == builds an equation
+  equals(other) {
+    other = toExpr(other);
+    if (this.kind !== other.kind) return false;
+    switch (this.kind) {
+      case 'constant':
+        return Object.is(this.value, other.value);
+      case 'variable':
+        return this.name === other.name;
+      default:
+        return this.operator === other.operator &&
+            this.operands.length === other.operands.length &&
+            this.operands.every((operand, i) => operand.equals(other.operands[i]));
+    }
+  }
+
+  // The names of the variables used in the expression
+  variables() {
+    switch (this.kind) {
+      case 'constant':
+        return new Set();
+      case 'variable':
+        return new Set([this.name]);
+      default:
+        return new Set(this.operands.flatMap((operand) => [...operand.variables()]));
+    }
+  }
+
+  // Folds constants and removes identities like x * 1 and x + 0
+  simplify() {
+    if (this.kind !== 'operation') return this;
+    return simplifyOperation(this.operator,
+        this.operands.map((operand) => operand.simplify()));
+  }
+
+  // Computes the value for bindings, an object from variable names to
+  // Numbers; equations and inequalities evaluate to booleans
+  evaluate(bindings = {}) {
+    switch (this.kind) {
+      case 'constant':
+        return this.value;
+      case 'variable':
+        if (!Object.prototype.hasOwnProperty.call(bindings, this.name)) {
+          throw new ReferenceError(`Unbound variable ${this.name}`);
+        }
+        return bindings[this.name];
+    }
+    const values = this.operands.map((operand) => operand.evaluate(bindings));
+    const fn = arithmetic[this.operator] || relations[this.operator];
+    return fn(...values);
+  }
+
+  // The derivative with respect to the named variable, simplified
+  derivative(name) {
+    if (this.kind === 'operation' && this.operator in relations) {
+      throw new TypeError(`Can't differentiate ${this.operator}`);
+    }
+    return derivative(this, name).simplify();
+  }
+
+  toString() {
+    switch (this.kind) {
+      case 'constant':
+        return String(this.value);
+      case 'variable':
+        return this.name;
+    }
+    const {operator, operands: [a, b]} = this;
+    if (functions.has(operator)) return `${operator}(${a})`;
+    const level = precedence[operator];
+    if (operator === 'neg') {
+      // -x ** 2 is a SyntaxError, so ** is parenthesized here too
+      return `-${print(a, precedence['**'] + 1)}`;
+    }
+    if (operator === '**') {
+      // Right-associative, and the base can't be a unary expression
+      return `${print(a, level + 1)} ** ${print(b, level)}`;
+    }
+    return `${print(a, level)} ${operator} ${print(b, level + 1)}`;
+  }
+}
+
+export function variable(name) {
+  return new Expr({kind: 'variable', name});
+}
+
+export function constant(value) {
+  if (typeof value !== 'number') {
+    throw new TypeError('Constants must be Numbers');
+  }
+  return new Expr({kind: 'constant', value});
+}
+
+export function exp(x) {
+  return operation('exp', x);
+}
+
+export function log(x) {
+  return operation('log', x);
+}
+
+export function sin(x) {
+  return operation('sin', x);
+}
+
+export function cos(x) {
+  return operation('cos', x);
+}
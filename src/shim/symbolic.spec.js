@@ -0,0 +1,106 @@
+const {Expr, variable, constant, exp, log, sin, cos} = require("./build/symbolic.js");
+const {withOperatorsFrom} = require("./spec-helper.js");
+
+const {binary, unary} = withOperatorsFrom(Expr);
+
+describe('Expr', () => {
+  const x = variable('x');
+  const y = variable('y');
+
+  it('builds expressions with operators', () => {
+    const e = binary('+', binary('*', x, 2), y);
+    expect(e instanceof Expr).toBe(true);
+    expect(e.kind).toBe('operation');
+    expect(e.operator).toBe('+');
+    expect(e.operands[1]).toBe(y);
+    expect(String(e)).toBe('x * 2 + y');
+    expect([...e.variables()].sort()).toEqual(['x', 'y']);
+  });
+
+  it('mixes Numbers in on either side', () => {
+    expect(String(binary('-', 1, x))).toBe('1 - x');
+    expect(String(binary('/', x, 2))).toBe('x / 2');
+    expect(String(binary('**', 2, x))).toBe('2 ** x');
+    expect(binary('-', 1, x).operands[0].equals(constant(1))).toBe(true);
+  });
+
+  it('builds equations and inequalities', () => {
+    for (const operator of ['<', '>', '<=', '>=', '==', '!=']) {
+      const e = binary(operator, x, 1);
+      expect(e instanceof Expr).withContext(operator).toBe(true);
+      expect(String(e)).toBe(`x ${operator} 1`);
+    }
+    expect(String(binary('==', binary('*', 2, x), binary('+', y, 1)))).toBe('2 * x == y + 1');
+    // Identical operands are always equal
+    expect(binary('==', x, x)).toBe(true);
+    expect(x.equals(variable('x'))).toBe(true);
+    expect(x.equals(y)).toBe(false);
+  });
+
+  it('prints with the fewest parentheses', () => {
+    expect(String(binary('*', binary('+', x, 1), y))).toBe('(x + 1) * y');
+    expect(String(binary('-', x, binary('-', y, 1)))).toBe('x - (y - 1)');
+    expect(String(binary('-', binary('-', x, y), 1))).toBe('x - y - 1');
+    expect(String(binary('**', x, binary('**', y, 2)))).toBe('x ** y ** 2');
+    expect(String(binary('**', binary('**', x, y), 2))).toBe('(x ** y) ** 2');
+    expect(String(unary('neg', binary('**', x, 2)))).toBe('-(x ** 2)');
+    expect(String(binary('**', unary('neg', x), 2))).toBe('(-x) ** 2');
+    expect(String(binary('**', constant(-2), x))).toBe('(-2) ** x');
+    expect(String(unary('neg', binary('+', x, y)))).toBe('-(x + y)');
+    expect(String(binary('*', 3, sin(binary('+', x, 1))))).toBe('3 * sin(x + 1)');
+  });
+
+  it('evaluates for bindings of its variables', () => {
+    const e = binary('+', binary('*', 3, binary('**', x, 2)), y);
+    expect(e.evaluate({ x: 2, y: 1 })).toBe(13);
+    expect(binary('<', x, y).evaluate({ x: 1, y: 2 })).toBe(true);
+    expect(binary('!=', x, 1).evaluate({ x: 1 })).toBe(false);
+    expect(exp(log(x)).evaluate({ x: 5 })).toBeCloseTo(5);
+    expect(() => e.evaluate({ x: 1 })).toThrowError(ReferenceError, 'Unbound variable y');
+  });
+
+  it('simplifies', () => {
+    const simplify = (e) => String(e.simplify());
+    expect(simplify(binary('+', binary('*', x, 1), 0))).toBe('x');
+    expect(simplify(binary('*', binary('-', x, x), y))).toBe('0');
+    expect(simplify(binary('*', x, binary('+', 2, 3)))).toBe('5 * x');
+    expect(simplify(binary('**', binary('/', x, 1), 1))).toBe('x');
+    expect(simplify(binary('**', y, 0))).toBe('1');
+    expect(simplify(unary('neg', unary('neg', x)))).toBe('x');
+    expect(simplify(binary('+', x, unary('neg', y)))).toBe('x - y');
+    expect(simplify(binary('-', 0, x))).toBe('-x');
+    expect(simplify(binary('/', binary('+', x, 1), binary('+', x, 1)))).toBe('1');
+    expect(simplify(log(2))).toBe('log(2)');
+  });
+
+  it('differentiates', () => {
+    const a = variable('a');
+    // y = a * x ** 3 + b * x ** 2 + c * x + d
+    const polynomial = binary('+', binary('+', binary('+',
+        binary('*', a, binary('**', x, 3)),
+        binary('*', variable('b'), binary('**', x, 2))),
+        binary('*', variable('c'), x)), variable('d'));
+    expect(String(polynomial)).toBe('a * x ** 3 + b * x ** 2 + c * x + d');
+    expect(String(polynomial.derivative('x')))
+      .toBe('a * (3 * x ** 2) + b * (2 * x) + c');
+    expect(String(polynomial.derivative('a'))).toBe('x ** 3');
+    expect(String(binary('/', 1, x).derivative('x'))).toBe('-1 / x ** 2');
+    expect(String(sin(binary('*', 2, x)).derivative('x'))).toBe('2 * cos(2 * x)');
+    expect(String(cos(x).derivative('x'))).toBe('-sin(x)');
+    expect(String(exp(x).derivative('x'))).toBe('exp(x)');
+    expect(String(log(x).derivative('x'))).toBe('1 / x');
+    expect(String(binary('**', 2, x).derivative('x'))).toBe('2 ** x * log(2)');
+    expect(String(binary('*', x, y).derivative('z'))).toBe('0');
+    expect(() => binary('<', x, 1).derivative('x')).toThrowError(TypeError);
+  });
+
+  it('can be checked numerically', () => {
+    const f = binary('/', sin(x), binary('+', 1, binary('**', x, 2)));
+    const df = f.derivative('x');
+    const h = 1e-6;
+    for (const at of [-2, 0.5, 3]) {
+      const numeric = (f.evaluate({ x: at + h }) - f.evaluate({ x: at - h })) / (2 * h);
+      expect(df.evaluate({ x: at })).toBeCloseTo(numeric, 5);
+    }
+  });
+});
@@ -0,0 +1,319 @@
+// CSS numeric values with units of measure, with overloaded operators
+
+// A CSSNumericValue is a sum of terms, each a number with a product of
+// units: usually just one term with one unit, like 3em, as made by
+// CSS.em(3). + and - check that both sides have the same dimensions
+// (length, angle, etc.), and add terms with the same unit, keeping
+// terms with different units as a sum which serializes to calc(), like
+// calc(3em + 2px). * and / multiply out the units, and comparisons
+// work between values of the same unit, or of absolute units which
+// convert to each other, like in and px.
+
+import {Operators} from './shim.js';
+
+// unit => [dimension, factor to convert to the dimension's canonical
+// unit, or undefined for relative units]
+const units = new Map();
+
+function defineUnits(dimension, definitions) {
+  for (const [unit, factor] of Object.entries(definitions)) {
+    units.set(unit, [dimension, factor]);
+  }
+}
+
+defineUnits('length', {
+  px: 1, cm: 96 / 2.54, mm: 96 / 25.4, Q: 96 / 101.6,
+  in: 96, pt: 96 / 72, pc: 16,
+  em: undefined, rem: undefined, ex: undefined, ch: undefined,
+  lh: undefined, vw: undefined, vh: undefined, vmin: undefined,
+  vmax: undefined,
+});
+defineUnits('angle', {deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360});
+defineUnits('time', {s: 1, ms: 0.001});
+defineUnits('frequency', {Hz: 1, kHz: 1000});
+defineUnits('resolution', {dppx: 1, dpi: 1 / 96, dpcm: 2.54 / 96});
+defineUnits('flex', {fr: undefined});
+defineUnits('percent', {percent: undefined});
+
+const canonicalUnits = {
+  length: 'px', angle: 'deg', time: 's', frequency: 'Hz', resolution: 'dppx',
+};
+
+function checkUnit(unit) {
+  if (unit !== 'number' && !units.has(unit)) {
+    throw new TypeError(`Unrecognized CSS unit ${unit}`);
+  }
+}
+
+// Terms are {value, units}, with units an object from unit names to
+// nonzero exponents; dimensionless terms have no units
+
+function unitsKey(units) {
+  return Object.keys(units).sort().map((unit) => `${unit}^${units[unit]}`).join(' ');
+}
+
+function dimensionsKey(termUnits) {
+  const dimensions = {};
+  for (const unit of Object.keys(termUnits)) {
+    const [dimension] = units.get(unit);
+    dimensions[dimension] = (dimensions[dimension] || 0) + termUnits[unit];
+    if (dimensions[dimension] === 0) delete dimensions[dimension];
+  }
+  return unitsKey(dimensions);
+}
+
+function multiplyUnits(a, b, sign) {
+  const product = {...a};
+  for (const unit of Object.keys(b)) {
+    product[unit] = (product[unit] || 0) + sign * b[unit];
+    if (product[unit] === 0) delete product[unit];
+  }
+  return product;
+}
+
+// The term converted to canonical units, where they're absolute
+function canonicalTerm({value, units: termUnits}) {
+  const canonical = {};
+  for (const unit of Object.keys(termUnits)) {
+    const [dimension, factor] = units.get(unit);
+    const exponent = termUnits[unit];
+    const target = factor === undefined ? unit : canonicalUnits[dimension];
+    if (factor !== undefined) value *= factor ** exponent;
+    canonical[target] = (canonical[target] || 0) + exponent;
+  }
+  return {value, units: canonical};
+}
+
+// Adds terms with the same units together, leaving out those which
+// cancel out unless nothing else is left
+function addTerms(terms) {
+  const byUnits = new Map();
+  for (const {value, units} of terms) {
+    const key = unitsKey(units);
+    const existing = byUnits.get(key);
+    byUnits.set(key, existing === undefined ?
+      {value, units} :
+      {value: existing.value + value, units});
+  }
+  const sum = [...byUnits.values()];
+  const nonzero = sum.filter(({value}) => value !== 0);
+  return nonzero.length === 0 ? sum.slice(0, 1) : nonzero;
+}
+
+function fromTerms(terms) {
+  const result = new CSSNumericValue(0);
+  result.terms = terms;
+  return result;
+}
+
+function toCSSNumericValue(n) {
+  return new CSSNumericValue(n);
+}
+
+const percentDimensions = 'percent^1';
+const singleDimension = /^[a-z]+\^1$/;
+
+// Percentages resolve against another dimension, like lengths in
+// calc(100% - 2em), so they may be added to values of any dimension
+function addable(a, b) {
+  const x = a.dimensions;
+  const y = b.dimensions;
+  return x === y ||
+      (x === percentDimensions && singleDimension.test(y)) ||
+      (y === percentDimensions && singleDimension.test(x));
+}
+
+function add(a, b, operator = '+') {
+  if (!addable(a, b)) {
+    throw new TypeError(
+        `${a} and ${b} have different dimensions in evaluating ${operator}`);
+  }
+  if (operator === '-') b = negate(b);
+  return fromTerms(addTerms([...a.terms, ...b.terms]));
+}
+
+function negate(a) {
+  return fromTerms(a.terms.map(({value, units}) => ({value: -value, units})));
+}
+
+function multiply(a, b) {
+  const terms = [];
+  for (const x of a.terms) {
+    for (const y of b.terms) {
+      terms.push({value: x.value * y.value, units: multiplyUnits(x.units, y.units, 1)});
+    }
+  }
+  return fromTerms(addTerms(terms));
+}
+
+function divide(a, b) {
+  if (b.terms.length !== 1) {
+    throw new TypeError(`Can't divide by ${b}, a sum of terms with different units`);
+  }
+  const [y] = b.terms;
+  return fromTerms(a.terms.map((x) => ({
+    value: x.value / y.value,
+    units: multiplyUnits(x.units, y.units, -1),
+  })));
+}
+
+// Returns the values of a and b, which must each be a single term, in
+// the same units
+function comparable(a, b) {
+  if (a.terms.length === 1 && b.terms.length === 1) {
+    const x = canonicalTerm(a.terms[0]);
+    const y = canonicalTerm(b.terms[0]);
+    if (unitsKey(x.units) === unitsKey(y.units)) return [x.value, y.value];
+  }
+  return undefined;
+}
+
+function lessThan(a, b) {
+  const values = comparable(a, b);
+  if (values === undefined) throw new TypeError(`Can't compare ${a} and ${b}`);
+  return values[0] < values[1];
+}
+
+// Values which can't be compared are equal if they're the same sum,
+// in any order
+function equals(a, b) {
+  const values = comparable(a, b);
+  if (values !== undefined) return values[0] === values[1];
+  if (a.terms.length !== b.terms.length) return false;
+  const byUnits = new Map(b.terms.map(({value, units}) => [unitsKey(units), value]));
+  return a.terms.every(({value, units}) => byUnits.get(unitsKey(units)) === value);
+}
+
+const definitions = {
+  '+'(a, b) { return add(a, b); },
+  '-'(a, b) { return add(a, b, '-'); },
+  '*': multiply,
+  '/': divide,
+  '<': lessThan,
+  '=='(a, b) { return equals(a, b); },
+};
+
+// The definitions above, converting a Number on the left or right to
+// a dimensionless CSSNumericValue
+function numberTable(numberOnLeft) {
+  const table = {};
+  for (const operator of Object.keys(definitions)) {
+    const fn = definitions[operator];
+    table[operator] = numberOnLeft ?
+      (a, b) => fn(toCSSNumericValue(a), b) :
+      (a, b) => fn(a, toCSSNumericValue(b));
+  }
+  return table;
+}
+
+const CSSNumericValueOperators = Operators({
+  ...definitions,
+  'pos'(a) { return a; },
+  'neg': negate,
+}, { right: Number,
+  ...numberTable(false),
+}, { left: Number,
+  ...numberTable(true),
+});
+
+function suffix(unit) {
+  return unit === 'percent' ? '%' : unit;
+}
+
+// Whether a term has at most one unit, so it doesn't need calc()
+function isSimple({units}) {
+  const exponents = Object.values(units);
+  return exponents.length === 0 || (exponents.length === 1 && exponents[0] === 1);
+}
+
+// The only term of value, which must have at most one unit
+function singleTerm(value) {
+  const {terms} = value;
+  if (terms.length !== 1 || !isSimple(terms[0])) {
+    throw new TypeError(`${value} doesn't have a single unit`);
+  }
+  return terms[0];
+}
+
+// Serializes a term, not wrapped in calc()
+function termString({value, units}) {
+  const numerator = [];
+  const denominator = [];
+  for (const unit of Object.keys(units).sort()) {
+    const exponent = units[unit];
+    const list = exponent > 0 ? numerator : denominator;
+    for (let i = 0; i < Math.abs(exponent); i++) list.push(suffix(unit));
+  }
+  let string = numerator.length === 0 ?
+    String(value) :
+    [`${value}${numerator[0]}`, ...numerator.slice(1).map((unit) => `1${unit}`)]
+        .join(' * ');
+  for (const unit of denominator) string += ` / 1${unit}`;
+  return string;
+}
+
+export class CSSNumericValue extends CSSNumericValueOperators {
+  // unit is 'number' for dimensionless values, 'percent' or a CSS unit
+  constructor(value, unit = 'number') {
+    super();
+    if (typeof value !== 'number') {
+      throw new TypeError('The value of a CSSNumericValue must be a Number');
+    }
+    checkUnit(unit);
+    this.terms = [{value, units: unit === 'number' ? {} : {[unit]: 1}}];
+  }
+
+  // The value and unit, for values of a single unit
+  get value() {
+    return singleTerm(this).value;
+  }
+
+  get unit() {
+    const [unit = 'number'] = Object.keys(singleTerm(this).units);
+    return unit;
+  }
+
+  // A string identifying the dimensions, for which + and - must match,
+  // like 'length^1' or '' for numbers; a sum of percentages and another
+  // dimension has the other one
+  get dimensions() {
+    const term = this.terms.find(({units}) => !('percent' in units)) || this.terms[0];
+    return dimensionsKey(term.units);
+  }
+
+  // Converts to another absolute unit of the same dimension
+  to(unit) {
+    checkUnit(unit);
+    const from = canonicalTerm(singleTerm(this));
+    const to = canonicalTerm(singleTerm(new CSSNumericValue(1, unit)));
+    if (unitsKey(from.units) !== unitsKey(to.units)) {
+      throw new TypeError(`Can't convert ${this} to ${unit}`);
+    }
+    return new CSSNumericValue(from.value / to.value, unit);
+  }
+
+  toString() {
+    const {terms} = this;
+    if (terms.length === 1) {
+      const string = termString(terms[0]);
+      return isSimple(terms[0]) ? string : `calc(${string})`;
+    }
+    let string = termString(terms[0]);
+    for (const term of terms.slice(1)) {
+      string += term.value < 0 ?
+        ` - ${termString({value: -term.value, units: term.units})}` :
+        ` + ${termString(term)}`;
+    }
+    return `calc(${string})`;
+  }
+}
+
+// CSS.px(2), CSS.em(3), CSS.number(1), CSS.percent(50), etc.
+export const CSS = {
+  number(value) {
+    return new CSSNumericValue(value);
+  },
+};
+for (const unit of units.keys()) {
+  CSS[unit] = (value) => new CSSNumericValue(value, unit);
+}
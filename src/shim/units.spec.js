@@ -0,0 +1,98 @@
+const {CSS, CSSNumericValue} = require("./build/units.js");
+const {withOperatorsFrom} = require("./spec-helper.js");
+
+const {binary, unary} = withOperatorsFrom(CSSNumericValue);
+const css = (value) => String(value);
+
+describe('CSSNumericValue', () => {
+  it('is made by CSS unit functions', () => {
+    expect(css(CSS.px(2))).toBe('2px');
+    expect(css(CSS.em(1.5))).toBe('1.5em');
+    expect(css(CSS.percent(50))).toBe('50%');
+    expect(css(CSS.number(3))).toBe('3');
+    expect(CSS.deg(90).value).toBe(90);
+    expect(CSS.deg(90).unit).toBe('deg');
+    expect(CSS.number(1).unit).toBe('number');
+    expect(new CSSNumericValue(4, 'vw').unit).toBe('vw');
+    expect(() => new CSSNumericValue(1, 'furlong'))
+      .toThrowError(TypeError, 'Unrecognized CSS unit furlong');
+    expect(() => new CSSNumericValue('1', 'px')).toThrowError(TypeError);
+  });
+
+  it('adds values of the same unit', () => {
+    expect(css(binary('+', CSS.px(3), CSS.px(2)))).toBe('5px');
+    expect(css(binary('-', CSS.s(1), CSS.s(0.25)))).toBe('0.75s');
+    expect(css(binary('+', CSS.number(1), 2))).toBe('3');
+    expect(css(unary('neg', CSS.em(2)))).toBe('-2em');
+  });
+
+  it('defers sums of different units of a dimension to calc()', () => {
+    const sum = binary('+', CSS.em(3), CSS.px(2));
+    expect(css(sum)).toBe('calc(3em + 2px)');
+    expect(css(binary('-', sum, CSS.px(4)))).toBe('calc(3em - 2px)');
+    expect(css(binary('-', sum, CSS.em(3)))).toBe('2px');
+    expect(css(binary('+', CSS.in(1), CSS.px(4)))).toBe('calc(1in + 4px)');
+    expect(css(binary('-', CSS.percent(100), CSS.rem(2)))).toBe('calc(100% - 2rem)');
+    expect(css(binary('*', 2, sum))).toBe('calc(6em + 4px)');
+    expect(css(binary('/', sum, 2))).toBe('calc(1.5em + 1px)');
+    expect(() => sum.value).toThrowError(TypeError, /doesn't have a single unit/);
+  });
+
+  it('rejects adding different dimensions', () => {
+    expect(() => binary('+', CSS.px(1), CSS.deg(2)))
+      .toThrowError(TypeError, '1px and 2deg have different dimensions in evaluating +');
+    expect(() => binary('-', CSS.px(1), 1))
+      .toThrowError(TypeError, '1px and 1 have different dimensions in evaluating -');
+    expect(() => binary('+', binary('+', CSS.percent(50), CSS.px(1)), CSS.ms(3)))
+      .toThrowError(TypeError);
+  });
+
+  it('combines dimensions with * and /', () => {
+    expect(css(binary('*', CSS.px(3), 2))).toBe('6px');
+    expect(css(binary('*', 2, CSS.px(3)))).toBe('6px');
+    expect(css(binary('*', CSS.px(3), CSS.px(2)))).toBe('calc(6px * 1px)');
+    expect(css(binary('/', CSS.px(6), CSS.s(2)))).toBe('calc(3px / 1s)');
+    expect(css(binary('/', 1, CSS.s(4)))).toBe('calc(0.25 / 1s)');
+    const area = binary('*', CSS.px(3), CSS.px(2));
+    expect(css(binary('/', area, CSS.px(2)))).toBe('3px');
+    expect(binary('/', CSS.px(6), CSS.px(2)).unit).toBe('number');
+    const speed = binary('/', CSS.px(100), CSS.s(2));
+    expect(css(binary('*', speed, CSS.s(2)))).toBe('100px');
+    expect(() => binary('+', speed, CSS.px(1))).toThrowError(TypeError);
+    expect(() => binary('/', CSS.px(1), binary('+', CSS.em(1), CSS.px(1))))
+      .toThrowError(TypeError, /Can't divide by calc\(1em \+ 1px\)/);
+  });
+
+  it('compares within a dimension', () => {
+    expect(binary('<', CSS.px(1), CSS.px(2))).toBe(true);
+    expect(binary('>=', CSS.em(2), CSS.em(2))).toBe(true);
+    expect(binary('>', CSS.in(1), CSS.px(90))).toBe(true);
+    expect(binary('<', CSS.ms(999), CSS.s(1))).toBe(true);
+    expect(binary('==', CSS.in(1), CSS.px(96))).toBe(true);
+    expect(binary('==', CSS.turn(0.5), CSS.deg(180))).toBe(true);
+    expect(binary('==', CSS.number(2), 2)).toBe(true);
+    expect(binary('<', 1, CSS.number(2))).toBe(true);
+    expect(binary('==', CSS.em(1), CSS.px(16))).toBe(false);
+    expect(binary('==', binary('+', CSS.em(1), CSS.px(1)),
+        binary('+', CSS.px(1), CSS.em(1)))).toBe(true);
+    expect(binary('==', binary('+', CSS.em(1), CSS.px(1)),
+        binary('+', CSS.px(2), CSS.em(1)))).toBe(false);
+    expect(() => binary('<', CSS.px(1), CSS.em(2)))
+      .toThrowError(TypeError, "Can't compare 1px and 2em");
+    expect(() => binary('<', CSS.px(1), CSS.deg(2))).toThrowError(TypeError);
+  });
+
+  it('converts between absolute units', () => {
+    expect(css(CSS.in(1).to('px'))).toBe('96px');
+    expect(css(CSS.px(48).to('in'))).toBe('0.5in');
+    expect(css(CSS.s(1.5).to('ms'))).toBe('1500ms');
+    expect(() => CSS.em(1).to('px')).toThrowError(TypeError, "Can't convert 1em to px");
+    expect(() => CSS.px(1).to('deg')).toThrowError(TypeError);
+  });
+
+  it('serializes into strings for styles', () => {
+    const padding = binary('+', CSS.em(3), CSS.px(2));
+    expect('padding-left: ' + padding).toBe('padding-left: calc(3em + 2px)');
+    expect(`${CSS.px(2)} ${CSS.percent(10)}`).toBe('2px 10%');
+  });
+});
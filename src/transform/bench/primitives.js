@@ -0,0 +1,51 @@
+// Benchmark of a numeric loop inside an operator scope, with and
+// without leaving provably primitive operations untransformed
+// Run with `npm run bench` after `npm run build`.
+
+const babel = require('@babel/core');
+const shim = require('@littledan/operator-overloading-shim');
+const {time} = require('@littledan/operator-overloading-shim/bench/time.js');
+
+const Ops = shim.Operators({
+  '+'(a, b) {
+    return new Vector(a.contents.map((elt, i) => elt + b.contents[i]));
+  },
+});
+
+class Vector extends Ops {
+  constructor(contents) {
+    super();
+    this.contents = contents;
+  }
+}
+
+const source = `
+  withOperatorsFrom(Vector);
+  const values = [];
+  for (let i = 0; i < size; i++) values.push(i % 7);
+  return function sumOfSquares() {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (typeof value === "number") sum += value * value - 1;
+    }
+    return sum;
+  };
+`;
+
+function compile(optimizePrimitives) {
+  const {code} = babel.transformSync(source, {
+    sourceType: 'script',
+    parserOpts: {allowReturnOutsideFunction: true},
+    plugins: [['./build/plugin.js', {optimizePrimitives}]],
+  });
+  return new Function('require', 'Vector', 'size', code)(require, Vector, size);
+}
+
+const size = 100000;
+
+const results = [
+  time('optimizePrimitives: false', size, compile(false), 'iteration'),
+  time('optimizePrimitives: true', size, compile(true), 'iteration'),
+];
+if (new Set(results).size !== 1) throw new Error('results differ');
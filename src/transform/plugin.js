@@ -4,209 +4,784 @@
 // of operator sets, and arithmetic operations into calls into the
 // operator overloading runtime, if they take place within a
 // withOperatorsFrom() scope.
-// Note that the proposal uses a `with operators from` statement instead;
-// this version doesn't use such new syntax to avoid the complexity
-// that comes with a parser change.
+// The proposal's `with operators from` declaration is also accepted: the
+// parser rejects it, since `with` must be followed by a parenthesized
+// object, so parserOverride finds the declarations by tokenizing the
+// code, rewrites each into a same-length labeled statement and parses
+// that, then turns those labeled statements back into
+// withOperatorsFrom() calls before the visitor runs.
 
 // This plugin runs in a single visitor pass.
 // The this object has the following properties included in it:
 // {
-//    shim: uid of the required shim module (undefined when stack empty)
+//    shim: uid of the imported shim module (undefined until first needed)
+//    shimImport: path of the statement importing the shim
+//    caches: path of the declaration of inline caches (undefined until
+//      first needed)
 //    stack: An Array of {
 //      operators: uid of the current modules object
 //      path: The path that owns this operator set
+//      declaration: path of the last declaration at the top of its
+//        statement list, after which the sets declared by its
+//        withOperatorsFrom() calls are
+//      initial: uid of the operators at the top of its statement list
+//      bindings: path of the declaration of the sets declared by its
+//        withOperatorsFrom() calls (undefined until first needed)
 //    }
 // }
 // When the stack is empty, there's no operator overloading registered,
 // and no transformation is done until entering a block with a
 // withOperatorsFrom() call as a StatementExpressoin.
 // The behavior for each element is as follows:
-//   Blocks and programs:
-//     - Check for a top-level withOperatorsFrom() statement. If found,
-//       - Require the shim if empty, and add this as the first statement
-//         in the block.
+//   Blocks, programs, static blocks and switch statements (which hold
+//   lists of statements, see statementLists; a switch statement's
+//   cases share its operators, so that they carry over on falling
+//   through from one case to the next):
+//     - Check for a withOperatorsFrom() statement in the lists. If found,
+//       - Import the shim if not yet done, as the first statement of
+//         the program: an import declaration when the program is a
+//         module, and a require() call otherwise.
 //       - Make the next statement a declaration of a uid for the operators
 //         variable, initialized based on the outer operators variable
-//         found from the stack.   let newuid = shim._declareOperators(olduid);
+//         found from the stack.   const newuid = shim._declareOperators(olduid);
+//         For a switch statement, it's inserted before the switch,
+//         after wrapping the switch in a block if it isn't in one.
 //       - Save the operators variable and this node on the stack
+//     - Programs are treated as having such a statement when the
+//       operatorScope option names a module exporting an operator
+//       scope: it's imported after the shim, and enabled with
+//       const uid = shim._withOperatorsFrom(newuid, scope) after the
+//       declaration.
 //       - As a post callback, pop the top of the stack if we pushed something.
 //   Function calls:
 //     - If the function is withOperatorsFrom:
-//       - If the stack is empty, throw an error (was not at the top level).
-//       - Otherwise, turn it into shim._withOperatorsFrom(operators, args...)
+//       - If it isn't a statement directly in a statement list, throw
+//         an error, as it would otherwise apply to the enclosing one.
+//       - Otherwise, declare a new uid at the top of the statement
+//         list, let uid = initial, and turn the call into an
+//         assignment, uid = shim._withOperatorsFrom(operators, args...),
+//         making uid the top of the stack's operators variable for the
+//         code after it. Operator sets are immutable, so functions
+//         defined before the statement keep using the operators from
+//         before it, while hoisted functions called before it runs
+//         use the operators at the top of the list.
 //   Operators:
-//     - Replace all x= operators with the expanded var = var x arg form
+//     - Replace all x= operators with the expanded var = var x arg form,
+//       first saving the object and computed key of member targets
+//       in temporaries so that they're evaluated once
 //     - Replace all infix mathematical operators with calls to
 //       _shim._binary(_operators)
 //     - Replace unary operators with _shim._unary(_operators)
 //     - Replace preincrement and postincrement operators with an
 //       assignment and call to the pos or neg operators, with
-//       _shim._unary(_operators)
+//       _shim._unary(_operators), saving member targets likewise
+//     - Leave operators alone when their operands are provably
+//       primitive, unless the optimizePrimitives option is false
+//     - Give each _binary/_unary call the location of the operator
+//       token it replaces, so that source maps point back to it
+//     - Pass each _binary/_unary call an inline cache object of its
+//       own, declared after the shim import: var _cache = {};
 
 import { declare } from "@babel/helper-plugin-utils";
 import { template, types as t } from "@babel/core";
 import { parse } from "@babel/parser";
+import jsTokens from "js-tokens";
+import { dirname, extname, relative, resolve, sep } from "path";
 
 const withOperatorsFromTemplate = template(`
-  SHIM._withOperatorsFrom(OPERATORS, ARGS)
+  const NEW_OPERATORS = SHIM._withOperatorsFrom(OPERATORS, ARGS);
 `);
 
+const enableOperatorsTemplate = template(`
+  NEW_OPERATORS = SHIM._withOperatorsFrom(OPERATORS, ARGS);
+`);
+
+const defaultModuleName = "@littledan/operator-overloading-shim";
+
 const requireShimTemplate = template(`
-  const SHIM = require("@littledan/operator-overloading-shim");
+  const SHIM = require(MODULE);
 `);
 
+// The source of an import declaration can't be a template placeholder
+const importShimTemplate = ({SHIM, MODULE}) =>
+  t.importDeclaration([t.importNamespaceSpecifier(SHIM)], MODULE);
+
+// The operatorScope option names a module export, by default the
+// default export, which is imported as SCOPE
+function importScopeTemplate({SCOPE, source, name, sourceType}) {
+  if (sourceType === "module") {
+    const specifier = name === "default"
+        ? t.importDefaultSpecifier(SCOPE)
+        : t.importSpecifier(SCOPE,
+            t.isValidIdentifier(name) ? t.identifier(name) : t.stringLiteral(name));
+    return t.importDeclaration([specifier], t.stringLiteral(source));
+  }
+  const required = t.callExpression(t.identifier("require"), [t.stringLiteral(source)]);
+  // Reserved words like default are allowed as property names
+  const computed = !t.isValidIdentifier(name, false);
+  const property = computed ? t.stringLiteral(name) : t.identifier(name);
+  return t.variableDeclaration("const", [
+    t.variableDeclarator(SCOPE, t.memberExpression(required, property, computed)),
+  ]);
+}
+
+// Returns {source, name} for the operatorScope option, a module
+// specifier or an object with those properties
+function normalizeOperatorScope(option) {
+  if (option === undefined) return undefined;
+  if (typeof option === "string") option = { source: option };
+  if (option === null || typeof option !== "object" ||
+      typeof option.source !== "string" ||
+      !["undefined", "string"].includes(typeof option.name)) {
+    throw new Error(
+        "The operatorScope option must be a module specifier, " +
+        "or an object with a source and optionally an export name");
+  }
+  return { source: option.source, name: option.name || "default" };
+}
+
+function isRelative(source) {
+  return /^\.\.?\//.test(source);
+}
+
+// Whether the module at the absolute path target is filename, with or
+// without an extension: the module defining the operator scope can't
+// import itself
+function isModule(filename, target) {
+  const withoutExtension = file => file.slice(0, file.length - extname(file).length);
+  // TypeScript sources import each other with .js extensions
+  return target === filename ||
+      withoutExtension(target) === withoutExtension(filename) ||
+      target === withoutExtension(filename);
+}
+
+// Returns the operatorScope option's {source, name} for the file being
+// transformed, or undefined if it's the scope's own module. A relative
+// source is given relative to Babel's root directory, so it's made
+// relative to the file; package names are left alone.
+function operatorScopeFor(operatorScope, filename, root) {
+  if (operatorScope === undefined || !isRelative(operatorScope.source)) {
+    return operatorScope;
+  }
+  // Without a filename, the code is taken to be in the root directory
+  if (!filename) return operatorScope;
+  const target = resolve(root, operatorScope.source);
+  if (isModule(filename, target)) return undefined;
+  let source = relative(dirname(filename), target).split(sep).join("/");
+  if (!isRelative(source)) source = "./" + source;
+  return { ...operatorScope, source };
+}
+
 const declareOperatorsTemplate = template(`
   const OPERATORS = SHIM._declareOperators(OUTER);
 `);
 
-const unaryOperatorTemplate = template(`
-  SHIM._unary(OPERATOR, EXPRESSION, OPERATORS)
+const unaryOperatorTemplate = template.expression(`
+  SHIM._unary(OPERATOR, EXPRESSION, OPERATORS, CACHE)
 `);
 
-const binaryOperatorTemplate = template(`
-  SHIM._binary(OPERATOR, LEFT, RIGHT, OPERATORS)
+const binaryOperatorTemplate = template.expression(`
+  SHIM._binary(OPERATOR, LEFT, RIGHT, OPERATORS, CACHE)
 `);
 
-const preIncrementTemplate = template(`
-  EXPRESSION = SHIM._unary(OPERATOR, EXPRESSION, OPERATORS)
+const preIncrementTemplate = template.expression(`
+  TARGET = SHIM._unary(OPERATOR, VALUE, OPERATORS, CACHE)
 `);
 
-const postIncrementTemplate = template(`
-  TEMPORARY = EXPRESSION,
-  EXPRESSION = SHIM._unary(OPERATOR, EXPRESSION, OPERATORS),
-  TEMPORARY
+const postIncrementTemplate = template.expression(`
+  (TEMPORARY = VALUE,
+   TARGET = SHIM._unary(OPERATOR, TEMPORARY, OPERATORS, CACHE),
+   TEMPORARY)
 `);
 
+// The nodes whose statement lists may contain withOperatorsFrom(), and
+// the property holding each list. The cases of a switch statement
+// share its operators.
+const statementLists = {
+  Program: "body",
+  BlockStatement: "body",
+  StaticBlock: "body",
+  SwitchCase: "consequent",
+};
+
+// Same length as the shortest `with operators from` so that
+// locations in the reparsed code line up with the original.
+const withOperatorsFromLabel = "_withOperatorsFrom";
+
+// js-tokens is a CommonJS module, whose pattern is its default export
+const { default: tokenPattern, matchToToken } = jsTokens;
+
+const isWord = (token, value) => token !== undefined &&
+    token.type === "name" && token.value === value;
+
+// Returns the {start, end} of each `with operators from` in code. The
+// words are found as tokens, which may be separated by comments, and
+// not in strings, templates, comments or regular expressions. A
+// property named with isn't a declaration, but the words may still
+// be something else, such as JSX text, which the parse shows.
+function findWithOperatorsFrom(code) {
+  const found = [];
+  // The last four tokens other than whitespace and comments
+  const tokens = [];
+  tokenPattern.lastIndex = 0;
+  while (tokenPattern.lastIndex < code.length) {
+    const start = tokenPattern.lastIndex;
+    const token = matchToToken(tokenPattern.exec(code));
+    if (token.type === "whitespace" || token.type === "comment") continue;
+    tokens.push({...token, start, end: tokenPattern.lastIndex});
+    if (tokens.length > 4) tokens.shift();
+    const [before, withWord, operators, from] = tokens.length === 4 ? tokens : [undefined, ...tokens];
+    if (isWord(withWord, "with") && isWord(operators, "operators") &&
+        isWord(from, "from") && !(before && before.value === ".")) {
+      found.push({ start: withWord.start, end: from.end });
+    }
+  }
+  return found;
+}
+
+function replaceWithOperatorsFrom(code, declarations) {
+  const label = withOperatorsFromLabel + ":";
+  let replaced = "";
+  let end = 0;
+  for (const declaration of declarations) {
+    const blanked = code.slice(declaration.start, declaration.end).replace(/[^\n]/g, " ");
+    replaced += code.slice(end, declaration.start) + label + blanked.slice(label.length);
+    end = declaration.end;
+  }
+  return replaced + code.slice(end);
+}
+
+function withOperatorsFromStatement(labeled) {
+  const { body } = labeled;
+  if (!t.isExpressionStatement(body)) {
+    throw syntaxError("with operators from must be followed by a list of classes", body);
+  }
+  const { expression } = body;
+  const args = t.isSequenceExpression(expression) &&
+      !(expression.extra && expression.extra.parenthesized)
+      ? expression.expressions
+      : [expression];
+  const callee = t.identifier("withOperatorsFrom");
+  const statement = t.expressionStatement(t.callExpression(callee, args));
+  for (const node of [callee, statement, statement.expression]) {
+    Object.assign(node, { start: labeled.start, end: labeled.end, loc: labeled.loc });
+  }
+  return statement;
+}
+
+function syntaxError(message, node) {
+  const error = new SyntaxError(message);
+  error.loc = node.loc.start;
+  error.pos = node.start;
+  return error;
+}
+
+function parseWithOperatorsFrom(code, parserOpts, parse) {
+  let declarations = findWithOperatorsFrom(code);
+  if (declarations.length === 0) return parse(code, parserOpts);
+  for (;;) {
+    const ast = parse(replaceWithOperatorsFrom(code, declarations), parserOpts);
+    const starts = new Set(declarations.map(({ start }) => start));
+    const labeled = new Set();
+    t.traverseFast(ast, node => {
+      if (t.isLabeledStatement(node) && starts.has(node.start)) labeled.add(node.start);
+    });
+    // Put back the words which weren't a declaration, and parse again
+    if (labeled.size < starts.size) {
+      declarations = declarations.filter(({ start }) => labeled.has(start));
+      continue;
+    }
+    t.traverseFast(ast, node => {
+      if (t.isLabeledStatement(node) && starts.has(node.start)) {
+        throw syntaxError(
+            "with operators from declarations must be directly inside a block, a switch case or at the top level",
+            node);
+      }
+      const key = statementLists[node.type];
+      if (key === undefined) return;
+      node[key] = node[key].map(statement =>
+          t.isLabeledStatement(statement) && starts.has(statement.start)
+              ? withOperatorsFromStatement(statement)
+              : statement);
+    });
+    return ast;
+  }
+}
+
+// Compound assignments and updates both read and write their target.
+// To evaluate the target's object and computed key only once, as
+// JavaScript does, these are saved in temporaries first.
+// Returns {assignments, read, write}: the assignments to temporaries,
+// to be evaluated first, and the expressions to read and write.
+function memoiseTarget(path, target) {
+  const assignments = [];
+  if (!t.isMemberExpression(target)) {
+    return {assignments, read: target, write: t.cloneNode(target)};
+  }
+  const memoise = node => {
+    // super can't be saved, but evaluating it has no side effects
+    const temporary = t.isSuper(node) ? null : path.scope.maybeGenerateMemoised(node);
+    if (temporary === null) return node;
+    assignments.push(t.assignmentExpression("=", temporary, node));
+    return temporary;
+  };
+  const object = memoise(target.object);
+  const property = target.computed ? memoise(target.property) : target.property;
+  const read = t.memberExpression(object, property, target.computed);
+  return {assignments, read, write: t.cloneNode(read)};
+}
+
+function withAssignments(assignments, expression) {
+  if (assignments.length === 0) return expression;
+  return t.sequenceExpression([...assignments, expression]);
+}
+
+// Moves a position past the given source text
+function advance({line, column, index}, text) {
+  for (const char of text) {
+    if (char === "\n") {
+      line++;
+      column = 0;
+    } else {
+      column++;
+    }
+    index++;
+  }
+  return {line, column, index};
+}
+
+// Returns the location of the operator token which starts at start
+function tokenLoc(start, operator) {
+  return {start, end: advance(start, operator)};
+}
+
+// Returns the location of the operator token following node, skipping
+// whitespace, comments and closing parentheses, or undefined if it
+// can't be found, for example since node wasn't parsed from code.
+// All of those are skipped before looking for the operator, as a
+// comment may start with it, like the / of /* x */ in a /* x */ / b.
+const skippedPattern = /\s+|\)|\/\/.*|\/\*[^]*?\*\//y;
+function operatorLoc(code, node, operator) {
+  if (!node.loc || node.end === undefined) return undefined;
+  let position = {...node.loc.end, index: node.end};
+  for (;;) {
+    skippedPattern.lastIndex = position.index;
+    const skipped = skippedPattern.exec(code);
+    if (skipped === null) break;
+    position = advance(position, skipped[0]);
+  }
+  if (!code.startsWith(operator, position.index)) return undefined;
+  return tokenLoc(position, operator);
+}
+
+// Maps an operator call like _shim._binary("+", a, b, _operators)
+// back to its operator token in source maps. The shim identifier is
+// shared among calls, so it's left without a location.
+function locateOperatorCall(call, loc) {
+  if (loc === undefined) return call;
+  for (const node of [call, call.callee, call.callee.property, call.arguments[0]]) {
+    node.loc = loc;
+  }
+  return call;
+}
+
 function isWithOperatorsFrom(node) {
   return t.isIdentifier(node.callee) && node.callee.name === "withOperatorsFrom";
 }
 
+function isWithOperatorsFromStatement(statement) {
+  return t.isExpressionStatement(statement) &&
+      t.isCallExpression(statement.expression) &&
+      isWithOperatorsFrom(statement.expression);
+}
+
+// The statement lists sharing a node's operators
+function ownStatementLists(node) {
+  if (t.isSwitchStatement(node)) return node.cases.map(({consequent}) => consequent);
+  return [node[statementLists[node.type]]];
+}
+
 const visitBlockStatementLike = {
   enter(path) {
-    if (!path.node.body.some(statement =>
-        t.isExpressionStatement(statement) &&
-        t.isCallExpression(statement.expression) &&
-        isWithOperatorsFrom(statement.expression))) return;
-    const prelude = [];
-    if (this.shim === undefined) {
-      this.shim = path.scope.generateUidIdentifier("shim");
-      prelude.push(requireShimTemplate({SHIM: this.shim}));
+    // With the operatorScope option, the whole program is in the
+    // scope's operators, and blocks inside it may add to them
+    const seeded = path.isProgram() && this.operatorScope !== undefined;
+    if (!seeded && !ownStatementLists(path.node).some(statements =>
+        statements.some(isWithOperatorsFromStatement))) return;
+    // A switch's operators are declared before it, in a statement list
+    // which is then visited with the switch in it
+    if (path.isSwitchStatement() && !Array.isArray(path.container)) {
+      path.replaceWith(t.blockStatement([path.node]));
+      return;
+    }
+    const program = this.file.path;
+    const importShim = this.shim === undefined;
+    if (importShim) {
+      this.shim = program.scope.generateUidIdentifier("shim");
     }
     const operators = path.scope.generateUidIdentifier("operators");
     const outer = this.inactive() ? undefined : this.peek().operators;
-    this.stack.push({operators, path});
-    prelude.push(declareOperatorsTemplate({
+    const declare = declareOperatorsTemplate({
       OPERATORS: operators,
       SHIM: this.shim,
       OUTER: outer,
-    }));
-    path.unshiftContainer('body', prelude);
+    });
+    let [declaration] = path.isSwitchStatement()
+        ? path.insertBefore(declare)
+        : path.unshiftContainer(statementLists[path.node.type], declare);
+    let initial = operators;
+    if (seeded) {
+      const scope = program.scope.generateUidIdentifier("scope");
+      const seededOperators = path.scope.generateUidIdentifier("operators");
+      [declaration] = declaration.insertAfter(withOperatorsFromTemplate({
+        NEW_OPERATORS: seededOperators,
+        SHIM: this.shim,
+        OPERATORS: operators,
+        ARGS: [scope],
+      }));
+      initial = seededOperators;
+      program.unshiftContainer('body', importScopeTemplate({
+        SCOPE: scope,
+        ...this.operatorScope,
+        sourceType: program.node.sourceType,
+      }));
+    }
+    this.stack.push({operators: initial, path, declaration, initial});
+    // Inserted after the declaration, so that it comes first
+    // when this block is the program itself
+    if (importShim) {
+      const importTemplate = program.node.sourceType === "module"
+          ? importShimTemplate
+          : requireShimTemplate;
+      [this.shimImport] = program.unshiftContainer('body', importTemplate({
+        SHIM: this.shim,
+        MODULE: t.stringLiteral(this.opts.moduleName || defaultModuleName),
+      }));
+    }
   },
   exit(path) {
     if (this.peek() && (this.peek().path === path)) {
       this.stack.pop();
-      if (this.inactive()) this.shim = undefined;
     }
   }
 }
 
-const fixedBinaryOperators = new Set(["===", "!==", "in", "instanceOf"]);
+const fixedBinaryOperators = new Set(["===", "!==", "in", "instanceof"]);
+
+// Compound assignment operators, and the binary operator each applies
+const compoundAssignmentOperators = {
+  "+=": "+",
+  "-=": "-",
+  "*=": "*",
+  "/=": "/",
+  "%=": "%",
+  "**=": "**",
+  "<<=": "<<",
+  ">>=": ">>",
+  ">>>=": ">>>",
+  "|=": "|",
+  "^=": "^",
+  "&=": "&",
+};
+
+// These only test their target's truthiness or nullishness, so they're
+// left as is, which keeps them short-circuiting. The assigned value
+// is transformed like any other expression.
+const fixedAssignmentOperators = new Set(["=", "&&=", "||=", "??="]);
+
+// Primitive type inference
+//
+// Operators have their usual meaning on primitives, so expressions
+// whose operands are provably primitive are left as they are, rather
+// than being turned into calls into the shim. The inference is
+// conservative, with one assumption: `length` properties are taken
+// to be primitive, as they are on strings, arrays and functions.
+
+const primitiveResultUnaryOperators = new Set(["typeof", "!", "void", "delete"]);
+const primitiveTypes = new Set(["number", "string", "bigint", "boolean", "undefined", "symbol"]);
+const primitiveGlobals = new Set(["undefined", "NaN", "Infinity"]);
+
+// state is {cache, assuming}: a Map from bindings already inferred to
+// the result, and the Set of bindings being inferred, which are
+// assumed to be primitive when they depend on themselves, as in i++
+function isPrimitive(path, state) {
+  const {node} = path;
+  switch (node.type) {
+    case "NumericLiteral":
+    case "StringLiteral":
+    case "BigIntLiteral":
+    case "BooleanLiteral":
+    case "NullLiteral":
+    case "TemplateLiteral":
+      return true;
+    case "Identifier":
+      return isPrimitiveIdentifier(path, state);
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      return !node.computed && t.isIdentifier(node.property, {name: "length"});
+    case "UnaryExpression":
+      return primitiveResultUnaryOperators.has(node.operator) ||
+          isPrimitive(path.get("argument"), state);
+    case "UpdateExpression":
+      return isPrimitive(path.get("argument"), state);
+    case "BinaryExpression":
+      return fixedBinaryOperators.has(node.operator) ||
+          isPrimitive(path.get("left"), state) && isPrimitive(path.get("right"), state);
+    case "AssignmentExpression":
+      if (node.operator === "=") return isPrimitive(path.get("right"), state);
+      // falls through
+    case "LogicalExpression":
+      return isPrimitive(path.get("left"), state) && isPrimitive(path.get("right"), state);
+    case "ConditionalExpression":
+      return isPrimitive(path.get("consequent"), state) &&
+          isPrimitive(path.get("alternate"), state);
+    case "SequenceExpression": {
+      const expressions = path.get("expressions");
+      return isPrimitive(expressions[expressions.length - 1], state);
+    }
+    case "ParenthesizedExpression":
+      return isPrimitive(path.get("expression"), state);
+    default:
+      return false;
+  }
+}
+
+function isPrimitiveIdentifier(path, state) {
+  const {name} = path.node;
+  const binding = path.scope.getBinding(name);
+  if (binding === undefined) return primitiveGlobals.has(name);
+  return isGuardedPrimitive(path, binding) || isPrimitiveBinding(binding, state);
+}
+
+// A variable is primitive if it's initialized and assigned only to primitives
+function isPrimitiveBinding(binding, state) {
+  const {cache, assuming} = state;
+  if (cache.has(binding)) return cache.get(binding);
+  if (assuming.has(binding)) return true;
+  if (!["var", "let", "const"].includes(binding.kind)) return false;
+  assuming.add(binding);
+  const result = isPrimitiveDeclarator(binding.path, state) &&
+      binding.constantViolations.every(path => isPrimitiveAssignment(path, state));
+  assuming.delete(binding);
+  // Results which relied on an assumption may be wrong when it is
+  if (!result || assuming.size === 0) cache.set(binding, result);
+  return result;
+}
+
+function isPrimitiveDeclarator(path, state) {
+  if (!path.isVariableDeclarator() || !path.get("id").isIdentifier()) return false;
+  const loop = path.parentPath.parentPath;
+  if (loop.isForXStatement() && loop.node.left === path.parent) {
+    return loop.isForInStatement();
+  }
+  return !path.node.init || isPrimitive(path.get("init"), state);
+}
+
+function isPrimitiveAssignment(path, state) {
+  if (path.isVariableDeclarator()) return isPrimitiveDeclarator(path, state);
+  if (path.isUpdateExpression()) return true;
+  if (path.isForInStatement()) return true;
+  // With the variable itself assumed to be primitive, a compound
+  // assignment's result is primitive if its right operand is
+  return path.isAssignmentExpression() && path.get("left").isIdentifier() &&
+      isPrimitive(path.get("right"), state);
+}
+
+// Whether a reference to a constant is only reached when a typeof
+// test has found it to be primitive, in if statements, && and ?:
+function isGuardedPrimitive(path, binding) {
+  if (!binding.constant) return false;
+  for (let child = path, parent = path.parentPath; parent;
+       child = parent, parent = parent.parentPath) {
+    let test;
+    if ((parent.isIfStatement() || parent.isConditionalExpression()) &&
+        child.key === "consequent") {
+      test = parent.get("test");
+    } else if (parent.isLogicalExpression({operator: "&&"}) && child.key === "right") {
+      test = parent.get("left");
+    }
+    if (test && testsPrimitive(test, binding)) return true;
+  }
+  return false;
+}
+
+function testsPrimitive(test, binding) {
+  if (test.isLogicalExpression({operator: "&&"})) {
+    return testsPrimitive(test.get("left"), binding) ||
+        testsPrimitive(test.get("right"), binding);
+  }
+  if (!test.isBinaryExpression() || !["===", "=="].includes(test.node.operator)) {
+    return false;
+  }
+  const left = test.get("left");
+  const right = test.get("right");
+  for (const [typeOf, type] of [[left, right], [right, left]]) {
+    if (typeOf.isUnaryExpression({operator: "typeof"}) && type.isStringLiteral() &&
+        primitiveTypes.has(type.node.value)) {
+      const argument = typeOf.get("argument");
+      if (argument.isIdentifier() &&
+          argument.scope.getBinding(argument.node.name) === binding) return true;
+    }
+  }
+  return false;
+}
 
 export default declare(api => {
   api.assertVersion(7);
 
   return {
+    parserOverride: parseWithOperatorsFrom,
     pre() {
       this.stack = [];
+      const {root, cwd} = this.file.opts;
+      this.operatorScope = operatorScopeFor(
+          normalizeOperatorScope(this.opts.operatorScope), this.filename, root || cwd);
       this.peek = () => this.stack[this.stack.length - 1];
       this.inactive = () => this.stack.length === 0;
+      // Each operator call site gets an inline cache object of its own,
+      // declared just after the shim is imported
+      this.cache = () => {
+        const id = this.file.path.scope.generateUidIdentifier("cache");
+        const declarator = t.variableDeclarator(id, t.objectExpression([]));
+        if (this.caches === undefined) {
+          [this.caches] = this.shimImport.insertAfter(
+              t.variableDeclaration("var", [declarator]));
+        } else {
+          this.caches.pushContainer("declarations", declarator);
+        }
+        return id;
+      };
+      const primitiveBindings = new Map();
+      this.isPrimitive = (...paths) => this.opts.optimizePrimitives !== false &&
+          paths.every(path => isPrimitive(path, {cache: primitiveBindings, assuming: new Set()}));
     },
     post() {
-      if (!this.inactive() || this.shim !== undefined) {
-        throw "internal error";
+      if (!this.inactive()) {
+        throw this.peek().path.buildCodeFrameError(
+            "Internal error: the operators declared here were still in scope at the end of the file");
       }
     },
     visitor: {
       BlockStatement: visitBlockStatementLike,
       Program: visitBlockStatementLike,
+      StaticBlock: visitBlockStatementLike,
+      SwitchStatement: visitBlockStatementLike,
       CallExpression(path) {
         if (!isWithOperatorsFrom(path.node)) return;
-        if (this.inactive()) {
+        // A statement directly in a list has had the list's operators
+        // declared on entering it, or its switch statement
+        const statement = path.parentPath;
+        const list = statement.parentPath;
+        const owner = list.isSwitchCase() ? list.parentPath : list;
+        if (!statement.isExpressionStatement() || this.inactive() ||
+            this.peek().path !== owner) {
           throw path.buildCodeFrameError(
-             "withOperatorsFrom calls must be statements, not nested expressions.");
+             "withOperatorsFrom calls must be statements directly inside a block, a switch case or at the top level.");
+        }
+        const top = this.peek();
+        const uid = statement.scope.generateUidIdentifier("operators");
+        // Function declarations after the statement may be called
+        // before it runs, with the operators at the top of the list
+        const declarator = t.variableDeclarator(uid, t.cloneNode(top.initial));
+        if (top.bindings === undefined) {
+          [top.bindings] = top.declaration.insertAfter(
+              t.variableDeclaration("let", [declarator]));
+        } else {
+          top.bindings.pushContainer("declarations", declarator);
         }
-        const uid = this.peek().operators;
-        path.replaceWith(withOperatorsFromTemplate({
+        statement.replaceWith(enableOperatorsTemplate({
+          NEW_OPERATORS: uid,
           SHIM: this.shim,
-          OPERATORS: uid,
+          OPERATORS: top.operators,
           ARGS: path.node.arguments
         }));
+        top.operators = uid;
       },
       UpdateExpression(path) {
         if (this.inactive()) return;
-        let statement;
+        if (this.isPrimitive(path.get("argument"))) return;
+        const {node} = path;
+        const loc = node.prefix
+            ? node.loc && tokenLoc({...node.loc.start, index: node.start}, node.operator)
+            : operatorLoc(this.file.code, node.argument, node.operator);
+        const {assignments, read, write} = memoiseTarget(path, node.argument);
+        let expression;
         if (path.node.prefix) {
-          statement = preIncrementTemplate({
+          expression = preIncrementTemplate({
             SHIM: this.shim,
             OPERATOR: t.StringLiteral(path.node.operator),
-            EXPRESSION: path.node.argument,
+            TARGET: write,
+            VALUE: read,
             OPERATORS: this.peek().operators,
+            CACHE: this.cache(),
           });
         } else {
-          let temporary = path.scope.generateUidIdentifier("t");
-          statement = postIncrementTemplate({
+          let temporary = path.scope.generateDeclaredUidIdentifier("t");
+          expression = postIncrementTemplate({
             SHIM: this.shim,
             OPERATOR: t.StringLiteral(path.node.operator),
-            EXPRESSION: path.node.argument,
+            TARGET: write,
+            VALUE: read,
             OPERATORS: this.peek().operators,
+            CACHE: this.cache(),
             TEMPORARY: temporary,
           });
         }
-        path.replaceWith(statement);
+        const assignment = node.prefix ? expression : expression.expressions[1];
+        locateOperatorCall(assignment.right, loc);
+        assignment.loc = node.loc;
+        path.replaceWith(withAssignments(assignments, expression));
       },
       UnaryExpression(path) {
         if (this.inactive()) return;
         const operator = { "+": "pos", "-": "neg", "~": "~"}[path.node.operator];
         if (operator === undefined) return;
-        path.replaceWith(unaryOperatorTemplate({
+        if (this.isPrimitive(path.get("argument"))) return;
+        const {node} = path;
+        path.replaceWith(locateOperatorCall(unaryOperatorTemplate({
           SHIM: this.shim,
           OPERATOR: t.StringLiteral(operator),
-          EXPRESSION: path.node.argument,
+          EXPRESSION: node.argument,
           OPERATORS: this.peek().operators,
-        }));
+          CACHE: this.cache(),
+        }), node.loc && tokenLoc({...node.loc.start, index: node.start}, node.operator)));
       },
       BinaryExpression(path) {
         if (this.inactive()) return;
         if (fixedBinaryOperators.has(path.node.operator)) return;
-        path.replaceWith(binaryOperatorTemplate({
+        if (this.isPrimitive(path.get("left"), path.get("right"))) return;
+        const {node} = path;
+        // Desugared compound assignments are given their operator's location
+        const loc = node.start === undefined
+            ? node.loc
+            : operatorLoc(this.file.code, node.left, node.operator);
+        path.replaceWith(locateOperatorCall(binaryOperatorTemplate({
           SHIM: this.shim,
-          OPERATOR: t.StringLiteral(path.node.operator),
-          LEFT: path.node.left,
-          RIGHT: path.node.right,
+          OPERATOR: t.StringLiteral(node.operator),
+          LEFT: node.left,
+          RIGHT: node.right,
           OPERATORS: this.peek().operators,
-        }));
+          CACHE: this.cache(),
+        }), loc));
       },
       AssignmentExpression(path) {
         if (this.inactive()) return;
+        if (fixedAssignmentOperators.has(path.node.operator)) return;
         // Desugar assignment expressions so the visitor
         // can implement operator overloading
-        const operator = {
-          "+=": "+",
-          "-=": "-",
-          "*=": "*",
-          "/=": "/",
-          "%=": "%",
-          "<<=": "<<",
-          ">>=": ">>",
-          ">>>=": ">>>",
-          "|=": "|",
-          "^=": "^",
-          "&=": "&",
-        }[path.node.operator];
-        if (operator === undefined) return;
-        const newValue = t.BinaryOperator(operator, path.node.left, path.node.right);
-        path.node.right = newValue;
-        path.node.operator = "=";
+        const operator = compoundAssignmentOperators[path.node.operator];
+        if (operator === undefined) {
+          throw path.buildCodeFrameError(
+              `Unsupported assignment operator ${path.node.operator}`);
+        }
+        if (this.isPrimitive(path.get("left"), path.get("right"))) return;
+        const {node} = path;
+        const {assignments, read, write} = memoiseTarget(path, node.left);
+        const binary = t.binaryExpression(operator, read, node.right);
+        binary.loc = operatorLoc(this.file.code, node.left, node.operator);
+        const assignment = t.assignmentExpression("=", write, binary);
+        assignment.loc = node.loc;
+        path.replaceWith(withAssignments(assignments, assignment));
       },
     }
   };
@@ -1,10 +1,15 @@
 const babel = require("@babel/core");
 const shim = require("@littledan/operator-overloading-shim");
+const {TraceMap, originalPositionFor} = require("@jridgewell/trace-mapping");
 
 const debug = false;
 
-function transform(code) {
-  code = babel.transform(code, { plugins: ["./build/plugin.js"] }).code;
+function transform(code, options = {}) {
+  code = babel.transform(code, {
+    sourceType: "script",
+    plugins: ["./build/plugin.js"],
+    ...options,
+  }).code;
   if (debug) console.log(code);
   return code;
 }
@@ -191,4 +196,756 @@ describe("nested scopes", () => {
     `));
   });
 
+  it("are fixed for closures created before a later declaration", () => {
+    eval(transform(`
+      withOperatorsFrom(OpsA);
+      const before = () => a+b;
+      function* generator() { yield +a; yield a+b; }
+      const iterator = generator();
+      expect(iterator.next().value).toBe(1);
+
+      withOperatorsFrom(OpsB);
+
+      const after = () => a+b;
+      expect(after()).toBe(3);
+      expect(before).toThrowError(TypeError);
+      expect(() => iterator.next()).toThrowError(TypeError);
+    `));
+  });
+
+  it("are fixed for async functions across awaits", async () => {
+    let result;
+    eval(transform(`
+      withOperatorsFrom(OpsA);
+      async function f() {
+        await null;
+        return a+b;
+      }
+      result = f();
+
+      withOperatorsFrom(OpsB);
+    `));
+    await expectAsync(result).toBeRejectedWithError(TypeError);
+  });
+
+  it("are those enclosing the declarations for hoisted functions called early", () => {
+    eval(transform(`
+      expect(f).toThrowError(TypeError);
+      withOperatorsFrom(OpsA);
+      {
+        expect(g()).toBe(1);
+        expect(h).toThrowError(TypeError);
+
+        withOperatorsFrom(OpsB);
+        function g() { return +a; }
+        function h() { return a+b; }
+        expect(h()).toBe(3);
+      }
+      function f() { return +a; }
+    `));
+  });
+
+  it("don't let one run of a declaration affect another", () => {
+    eval(transform(`
+      withOperatorsFrom(OpsA);
+      const functions = [];
+      for (const Ops of [OpsB, OpsA]) {
+        functions.push(() => a+b);
+        withOperatorsFrom(Ops);
+        functions.push(() => a+b);
+      }
+      expect(functions[0]).toThrowError(TypeError);
+      expect(functions[1]()).toBe(3);
+      expect(functions[2]).toThrowError(TypeError);
+      expect(functions[3]).toThrowError(TypeError);
+    `));
+  });
+});
+
+describe("statement lists", () => {
+  const OpsA = shim.Operators({ 'pos'(a) { return 1; } });
+  const a = new OpsA;
+
+  it("in class static blocks open a scope", () => {
+    eval(transform(`
+      class C {
+        static {
+          withOperatorsFrom(OpsA);
+          C.value = +a;
+        }
+        static {
+          C.other = +a;
+        }
+      }
+      expect(C.value).toBe(1);
+      // Not transformed, outside of any operators scope
+      expect(C.other).toBeNaN();
+      expect(+a).toBeNaN();
+    `));
+  });
+
+  it("in switch cases open a scope for the rest of the switch", () => {
+    const code = transform(`
+      function f(n) {
+        switch (n) {
+          case 0:
+            withOperatorsFrom(OpsA);
+            return +a;
+          case 1:
+            return +a;
+          default:
+            with operators from OpsA;
+            return +a;
+        }
+      }
+      function g(n) {
+        if (n >= 0) switch (n) {
+          case 0:
+            with operators from OpsA;
+          case 1:
+            return +a;
+        }
+        return +a;
+      }
+    `);
+    eval(code + `
+      expect(f(0)).toBe(1);
+      // Jumping past the declaration
+      expect(() => f(1)).toThrowError(TypeError);
+      expect(f(2)).toBe(1);
+      // Falling through from the declaration
+      expect(g(0)).toBe(1);
+      expect(() => g(1)).toThrowError(TypeError);
+      // Not transformed, outside of any operators scope
+      expect(g(-1)).toBeNaN();
+    `);
+  });
+
+  it("cover class bodies and arrow function expression bodies", () => {
+    eval(transform(`
+      withOperatorsFrom(OpsA);
+      class C {
+        field = +a;
+        static method() { return +a; }
+      }
+      const f = () => +a;
+      expect(new C().field).toBe(1);
+      expect(C.method()).toBe(1);
+      expect(f()).toBe(1);
+    `));
+  });
+
+  it("must contain withOperatorsFrom calls directly", () => {
+    for (const code of [
+      "f(withOperatorsFrom(OpsA));",
+      "const f = () => withOperatorsFrom(OpsA);",
+      "withOperatorsFrom(OpsA); if (x) withOperatorsFrom(OpsA);",
+      "withOperatorsFrom(OpsA); label: withOperatorsFrom(OpsA);",
+    ]) {
+      expect(() => transform(code)).toThrowError(
+          /withOperatorsFrom calls must be statements directly inside a block[^]*\|/);
+    }
+  });
+});
+
+describe("with operators from syntax", () => {
+  const OpsA = shim.Operators({
+    'pos'(a) { return 1; },
+    open: ["+"]
+  });
+  const a = new OpsA;
+
+  const OpsB = shim.Operators({
+    'pos'(b) { return 2; }
+  }, { left: OpsA,
+    '+'(a, b) { return 3; }
+  });
+  const b = new OpsB;
+
+  it("is scoped like withOperatorsFrom", () => {
+    eval(transform(`
+      expect(() => +a).toThrowError(TypeError);
+
+      with operators from OpsA;
+
+      {
+        expect(+a).toBe(1);
+        expect(() => +b).toThrowError(TypeError);
+
+        with operators from OpsB;
+
+        expect(+b).toBe(2);
+        expect(a+b).toBe(3);
+      }
+
+      expect(+a).toBe(1);
+      expect(() => +b).toThrowError(TypeError);
+    `));
+  });
+
+  it("takes a comma-separated list of classes", () => {
+    eval(transform(`
+      with operators from OpsA, OpsB;
+      expect(a+b).toBe(3);
+    `));
+  });
+
+  it("works in strict code", () => {
+    eval(transform(`
+      (function() {
+        "use strict";
+        with  operators
+          from OpsA, OpsB
+        expect(a+b).toBe(3);
+      })();
+    `));
+  });
+
+  it("leaves strings and comments alone", () => {
+    const code = transform(`
+      // with operators from OpsA;
+      const s = "with operators from OpsA;";
+    `);
+    expect(code).not.toContain("_shim");
+    expect(code).toContain(`"with operators from OpsA;"`);
+  });
+
+  it("may have comments between its words", () => {
+    eval(transform(`
+      with /* a */ operators // b
+        from OpsA;
+      {
+        with
+          // c
+          operators /* d */ from OpsB;
+        expect(a+b).toBe(3);
+      }
+    `));
+  });
+
+  it("is found in one parse", () => {
+    const parser = require(require.resolve("@babel/parser",
+        {paths: [require.resolve("@babel/core")]}));
+    spyOn(parser, "parse").and.callThrough();
+    transform(`
+      with operators from OpsA;
+      { with operators from OpsB; }
+      { with operators from OpsA, OpsB; }
+    `);
+    expect(parser.parse).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves the words alone in JSX text", () => {
+    const code = transform(`
+      with operators from OpsA;
+      const p = <p>with operators from OpsA</p>;
+    `, {parserOpts: {plugins: ["jsx"]}});
+    expect(code).toContain("<p>with operators from OpsA</p>");
+    expect(code).toContain("_shim._withOperatorsFrom(_operators, OpsA)");
+  });
+
+  it("must appear directly inside a block", () => {
+    expect(() => transform(`
+      if (a) with operators from OpsA;
+    `)).toThrowError(SyntaxError, /directly inside a block/);
+  });
+
+  it("still rejects other uses of with", () => {
+    expect(() => transform(`
+      with operators (OpsA);
+    `)).toThrowError(SyntaxError);
+  });
+});
+
+describe("importing the shim", () => {
+  const Ops = shim.Operators({ 'neg'(a) { return 1; } });
+  const x = new Ops;
+
+  it("uses require() in scripts", () => {
+    const code = transform(`
+      withOperatorsFrom(Ops);
+      val = -x;
+    `);
+    expect(code).toMatch(/^const _shim = require\("@littledan\/operator-overloading-shim"\);/);
+    let val;
+    eval(code);
+    expect(val).toBe(1);
+  });
+
+  it("uses an import declaration in modules", () => {
+    const code = transform(`
+      withOperatorsFrom(Ops);
+      -x;
+    `, { sourceType: "module" });
+    expect(code).toMatch(/^import \* as _shim from "@littledan\/operator-overloading-shim";/);
+  });
+
+  it("imports the shim once, at the top level", () => {
+    const code = transform(`
+      function f() { withOperatorsFrom(Ops); return -x; }
+      function g() { withOperatorsFrom(Ops); return -x; }
+      val = f() + g();
+    `, { sourceType: "module" });
+    expect(code.match(/import/g).length).toBe(1);
+    expect(code).toMatch(/^import \* as _shim/);
+    let val;
+    eval(babel.transform(code, {
+      plugins: ["@babel/plugin-transform-modules-commonjs"],
+    }).code);
+    expect(val).toBe(2);
+  });
+
+  it("takes the shim's module name from the moduleName option", () => {
+    const code = transform(`
+      withOperatorsFrom(Ops);
+      -x;
+    `, { plugins: [["./build/plugin.js", { moduleName: "./vendor/shim.js" }]] });
+    expect(code).toMatch(/^const _shim = require\("\.\/vendor\/shim\.js"\);/);
+  });
+});
+
+describe("operator scopes", () => {
+  const Ops = shim.Operators({ 'neg'(a) { return 1; } });
+  const Other = shim.Operators({ 'neg'(a) { return 2; } });
+  const x = new Ops;
+  const y = new Other;
+  const scope = shim.Operators.scope(Ops);
+  const modules = { "./operators.js": { default: scope, named: scope } };
+  const realRequire = require;
+  const scopeRequire = name => modules[name] || realRequire(name);
+  const scoped = (code, operatorScope, options = {}) => transform(code, {
+    cwd: "/project/src",
+    filename: "/project/src/file.js",
+    // Absolute, as plugins are found from the cwd option
+    plugins: [[`${__dirname}/build/plugin.js`, { operatorScope }]],
+    ...options,
+  });
+
+  it("can be used in with operators from declarations", () => {
+    const code = transform(`
+      with operators from scope;
+      val = -x;
+    `);
+    let val;
+    eval(code);
+    expect(val).toBe(1);
+  });
+
+  it("enable operators throughout the program with the operatorScope option", () => {
+    const code = scoped(`
+      val = -x;
+      function f() { return -x; }
+      val2 = f();
+    `, "./operators.js");
+    expect(code).toMatch(
+        /const _scope = require\("\.\/operators\.js"\)\.default;\nconst _operators = _shim\._declareOperators\(\);\nconst _operators2 = _shim\._withOperatorsFrom\(_operators, _scope\);/);
+    let val, val2;
+    const require = scopeRequire;
+    eval(code);
+    expect(val).toBe(1);
+    expect(val2).toBe(1);
+  });
+
+  it("keep per-block additions working", () => {
+    const code = scoped(`
+      function f() {
+        with operators from Other;
+        return [-x, -y];
+      }
+      val = f();
+      try { -y; } catch (e) { error = e; }
+    `, "./operators.js");
+    let val, error;
+    const require = scopeRequire;
+    eval(code);
+    expect(val).toEqual([1, 2]);
+    expect(error instanceof TypeError).toBe(true);
+  });
+
+  it("import a named export, in modules and scripts", () => {
+    expect(scoped("-x;", { source: "./operators.js", name: "named" }, { sourceType: "module" }))
+      .toMatch(/^import \* as _shim from "@littledan\/operator-overloading-shim";\nvar _cache = {};\nimport { named as _scope } from "\.\/operators\.js";/);
+    const code = scoped("val = -x;", { source: "./operators.js", name: "named" });
+    expect(code).toMatch(/require\("\.\/operators\.js"\)\.named;/);
+    let val;
+    const require = scopeRequire;
+    eval(code);
+    expect(val).toBe(1);
+  });
+
+  it("are imported relative to each file", () => {
+    const options = { cwd: "/project" };
+    const sources = {
+      "/project/src/file.js": "./operators.js",
+      "/project/src/lib/file.js": "../operators.js",
+      "/project/test/file.js": "../src/operators.js",
+    };
+    for (const [filename, source] of Object.entries(sources)) {
+      expect(scoped("-x;", "./src/operators.js", { ...options, filename }))
+        .toContain(`const _scope = require("${source}").default;`);
+    }
+    expect(scoped("-x;", "../shared/operators.js", { ...options, filename: "/project/src/file.js" }))
+      .toContain(`require("../../shared/operators.js")`);
+    expect(scoped("-x;", "./src/operators.js", { ...options, filename: "/project/src/operators.js" }))
+      .toBe("-x;");
+    expect(scoped("-x;", "operators-package", { ...options, filename: "/project/src/lib/file.js" }))
+      .toContain(`require("operators-package")`);
+  });
+
+  it("are not imported into the module defining them", () => {
+    for (const filename of ["/project/src/operators.js", "/project/src/operators.ts"]) {
+      const code = scoped("val = -x;", "./operators.js", { filename });
+      expect(code).toBe("val = -x;");
+    }
+    expect(scoped("val = -x;", "./operators", { filename: "/project/src/operators.js" }))
+      .toBe("val = -x;");
+  });
+
+  it("must name a module", () => {
+    for (const operatorScope of [1, null, { name: "scope" }, { source: "./a.js", name: 2 }]) {
+      expect(() => scoped("-x;", operatorScope)).toThrowError(/operatorScope option must be/);
+    }
+  });
+});
+
+describe("compound assignment and update targets", () => {
+  const Ops = shim.Operators({
+    '+'(a, b) { return new Counter(a.n + b.n); },
+    '++'(a) { return new Counter(a.n + 1); },
+    '--'(a) { return new Counter(a.n - 1); },
+  });
+
+  class Counter extends Ops {
+    constructor(n) { super(); this.n = n; }
+  }
+
+  it("evaluate the object and computed key once", () => {
+    eval(transform(`
+      withOperatorsFrom(Counter);
+      const log = [];
+      const holder = { items: [new Counter(1), new Counter(2)] };
+      const object = {
+        get holder() { log.push("holder"); return holder; },
+      };
+      const key = k => { log.push("key"); return k; };
+
+      object.holder.items[key(0)] += new Counter(10);
+      expect(holder.items[0].n).toBe(11);
+      expect(log).toEqual(["holder", "key"]);
+
+      log.length = 0;
+      expect((object.holder.items[key(1)]++).n).toBe(2);
+      expect(holder.items[1].n).toBe(3);
+      expect(log).toEqual(["holder", "key"]);
+
+      log.length = 0;
+      expect((--object.holder.items[key(1)]).n).toBe(2);
+      expect(holder.items[1].n).toBe(2);
+      expect(log).toEqual(["holder", "key"]);
+    `));
+  });
+
+  it("read and write getters and setters once", () => {
+    eval(transform(`
+      withOperatorsFrom(Counter);
+      const log = [];
+      let value = new Counter(1);
+      const object = {
+        get x() { log.push("get"); return value; },
+        set x(v) { log.push("set"); value = v; },
+      };
+      object.x += new Counter(1);
+      object.x++;
+      ++object.x;
+      expect(value.n).toBe(4);
+      expect(log).toEqual(["get", "set", "get", "set", "get", "set"]);
+    `));
+  });
+
+  it("work on super members", () => {
+    eval(transform(`
+      withOperatorsFrom(Counter);
+      const log = [];
+      class Base {
+        get x() { log.push("get"); return this._x; }
+        set x(v) { log.push("set"); this._x = v; }
+      }
+      class Derived extends Base {
+        bump() {
+          super.x += new Counter(1);
+          super["x"]++;
+        }
+      }
+      const d = new Derived;
+      d._x = new Counter(1);
+      d.bump();
+      expect(d._x.n).toBe(3);
+      expect(log).toEqual(["get", "set", "get", "set"]);
+    `));
+  });
+
+  it("work on private fields", () => {
+    eval(transform(`
+      withOperatorsFrom(Counter);
+      let made = 0;
+      class Box {
+        #x = new Counter(1);
+        static make() { made++; return box; }
+        static bump() {
+          Box.make().#x += new Counter(1);
+          Box.make().#x++;
+          return --Box.make().#x;
+        }
+      }
+      const box = new Box;
+      expect(Box.bump().n).toBe(2);
+      expect(made).toBe(3);
+    `));
+  });
+
+  it("works on plain variables", () => {
+    eval(transform(`
+      "use strict";
+      withOperatorsFrom(Counter);
+      let c = new Counter(1);
+      c += new Counter(1);
+      expect((c++).n).toBe(2);
+      expect(c.n).toBe(3);
+    `));
+  });
+});
+
+describe("assignment operators", () => {
+  const Ops = shim.Operators({
+    '+'(a, b) { return new Num(a.n + b.n); },
+    '**'(a, b) { return new Num(a.n ** b.n); },
+  });
+
+  class Num extends Ops {
+    constructor(n) { super(); this.n = n; }
+  }
+
+  it("are all either desugared or left as is", () => {
+    const fixed = ["=", "&&=", "||=", "??="];
+    for (const operator of babel.types.ASSIGNMENT_OPERATORS) {
+      const code = transform(`
+        withOperatorsFrom(Num);
+        x ${operator} y;
+      `);
+      if (fixed.includes(operator)) {
+        expect(code).toContain(`x ${operator} y;`);
+      } else {
+        const binary = operator.slice(0, -1);
+        expect(code).toContain(`x = _shim._binary("${binary}", x, y, _operators2, _cache);`);
+      }
+    }
+  });
+
+  it("overload **=", () => {
+    eval(transform(`
+      withOperatorsFrom(Num);
+      let x = new Num(2);
+      x **= new Num(3);
+      expect(x.n).toBe(8);
+    `));
+  });
+
+  it("keep logical assignment short-circuiting", () => {
+    eval(transform(`
+      withOperatorsFrom(Num);
+      let evaluated = 0;
+      const next = () => { evaluated++; return new Num(1) + new Num(1); };
+      let a = new Num(1);
+      let b = null;
+      let c = null;
+      a ||= next();
+      a ??= next();
+      expect(evaluated).toBe(0);
+      b &&= next();
+      expect(b).toBe(null);
+      expect(evaluated).toBe(0);
+      c ??= next();
+      expect(c.n).toBe(2);
+      a &&= next();
+      expect(a.n).toBe(2);
+      expect(evaluated).toBe(2);
+    `));
+  });
+});
+
+describe("source locations", () => {
+  function operatorCalls(code) {
+    const {ast} = babel.transformSync(code, {
+      sourceType: "script",
+      plugins: ["./build/plugin.js"],
+      ast: true,
+      code: false,
+    });
+    const calls = [];
+    babel.traverse(ast, {
+      CallExpression({node}) {
+        const {callee} = node;
+        if (!babel.types.isMemberExpression(callee) ||
+            !["_binary", "_unary"].includes(callee.property.name)) return;
+        const {start, end} = node.loc;
+        calls.push([node.arguments[0].value, start.line, start.column, end.column]);
+        expect(callee.loc).toBe(node.loc);
+        expect(callee.property.loc).toBe(node.loc);
+        expect(node.arguments[0].loc).toBe(node.loc);
+      }
+    });
+    return calls;
+  }
+
+  it("map operator calls to their operator token", () => {
+    expect(operatorCalls(
+`withOperatorsFrom(Vector);
+a + b;
+(a) *
+  /* c */ -b;
+x **= y;
+x++;
+++x;
+obj.prop -= 1;`)).toEqual([
+      ["+", 2, 2, 3],
+      ["*", 3, 4, 5],
+      ["neg", 4, 10, 11],
+      ["**", 5, 2, 5],
+      ["++", 6, 1, 3],
+      ["++", 7, 0, 2],
+      ["-", 8, 9, 11],
+    ]);
+  });
+
+  it("map operator calls to their operator token in source maps", () => {
+    const {code, map} = babel.transformSync(
+`withOperatorsFrom(Vector);
+const c = a +
+  b * -d;
+x **= y;
+const q = a /* x */ / b // y
+  / c;`, {
+      sourceType: "script",
+      plugins: ["./build/plugin.js"],
+      sourceMaps: true,
+      filename: "input.js",
+    });
+    const traced = new TraceMap(map);
+    const calls = [];
+    code.split("\n").forEach((text, i) => {
+      for (const match of text.matchAll(/\._(?:binary|unary)\("([^"]+)"/g)) {
+        const {source, line, column} =
+            originalPositionFor(traced, {line: i + 1, column: match.index + 1});
+        calls.push([match[1], source, line, column]);
+      }
+    });
+    expect(calls).toEqual([
+      ["+", "input.js", 2, 12],
+      ["*", "input.js", 3, 4],
+      ["neg", "input.js", 3, 6],
+      ["**", "input.js", 4, 2],
+      ["/", "input.js", 6, 2],
+      ["/", "input.js", 5, 20],
+    ]);
+  });
+});
+
+describe("provably primitive operands", () => {
+  const Ops = shim.Operators({
+    '*'(a, b) { return new Num(a.n * b.n); },
+    'neg'(a) { return new Num(-a.n); },
+  });
+
+  class Num extends Ops {
+    constructor(n) { super(); this.n = n; }
+  }
+
+  it("are left as is", () => {
+    const code = transform(`
+      withOperatorsFrom(Num);
+      for (let i = 0; i < list.length; i++) i * 2;
+      const unit = "px" + \`\${size}\`;
+      let count = -1;
+      count += typeof x == "string" ? 1 : 0;
+      for (const key in object) key + "!";
+      function scale(a, b) {
+        if (typeof a === "number" && typeof b === "number") return a * b;
+      }
+    `);
+    expect(code).not.toContain("_binary");
+    expect(code).not.toContain("_unary");
+  });
+
+  it("are transformed when they may be overloaded", () => {
+    const code = transform(`
+      withOperatorsFrom(Num);
+      let count = 1;
+      count = new Num(2);
+      count * 2;
+      for (const item of list) item + 1;
+      function scale(a, b) {
+        if (typeof a === "number") return a * b;
+        a = b;
+        if (typeof a === "number") return a * 2;
+      }
+    `);
+    expect(code).toContain(`_shim._binary("*", count, 2, _operators2, _cache`);
+    expect(code).toContain(`_shim._binary("+", item, 1, _operators2, _cache`);
+    expect(code).toContain(`_shim._binary("*", a, b, _operators2, _cache`);
+    expect(code).toContain(`_shim._binary("*", a, 2, _operators2, _cache`);
+  });
+
+  it("are transformed with optimizePrimitives: false", () => {
+    const code = transform(`
+      withOperatorsFrom(Num);
+      1 + 2;
+    `, { plugins: [["./build/plugin.js", { optimizePrimitives: false }]] });
+    expect(code).toContain(`_shim._binary("+", 1, 2, _operators2, _cache`);
+  });
+
+  it("evaluate alongside overloaded ones", () => {
+    eval(transform(`
+      withOperatorsFrom(Num);
+      let product = new Num(1);
+      for (let i = 1; i <= 4; i++) product = product * new Num(i);
+      expect(product.n).toBe(24);
+      expect(-product instanceof Num).toBe(true);
+      expect((-product).n).toBe(-24);
+    `));
+  });
+});
+
+describe("inline caches", () => {
+  const Ops = shim.Operators({
+    '+'(a, b) { return new Num(a.n + b.n); },
+    'neg'(a) { return new Num(-a.n); },
+  }, { left: Number,
+    '+'(a, b) { return new Num(a + b.n); },
+  });
+
+  class Num extends Ops {
+    constructor(n) { super(); this.n = n; }
+  }
+
+  it("are declared once for each call site", () => {
+    const code = transform(`
+      withOperatorsFrom(Num);
+      a + b;
+      -(a + b);
+    `);
+    expect(code).toContain("var _cache = {},\n  _cache2 = {},\n  _cache3 = {};");
+    expect(code).toContain(`_shim._binary("+", a, b, _operators2, _cache)`);
+    expect(code).toContain(`_shim._unary("neg", _shim._binary("+", a, b, _operators2, _cache3), _operators2, _cache2)`);
+  });
+
+  it("dispatch on each call's operands", () => {
+    eval(transform(`
+      withOperatorsFrom(Num);
+      const values = [new Num(1), 2, new Num(3), 4];
+      let sum = new Num(0);
+      for (const value of values) sum = value + sum;
+      expect(sum.n).toBe(10);
+      expect((-sum).n).toBe(-10);
+    `));
+  });
 });